@@ -0,0 +1,308 @@
+// 格式转换的回归检查（不需要网络和 API 密钥）
+// 运行: node test/conversions.js
+//
+// worker.js 是 Service Worker 脚本而不是模块，这里在 vm 上下文中加载，
+// 通过 fetch 模拟上游，检查请求转换、响应转换、流式转换和平台参数策略
+
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const path = require('node:path')
+const test = require('node:test')
+const vm = require('node:vm')
+
+/**
+ * 加载 worker.js
+ * @param {object} globals - 环境变量、fetch 等全局变量
+ * @returns {object} - worker 的全局作用域
+ */
+function loadWorker(globals = {}) {
+    const context = vm.createContext({
+        console, URL, Request, Response, Headers, TextEncoder, TextDecoder, AbortController, AbortSignal,
+        ReadableStream, WritableStream, TransformStream, setTimeout, clearTimeout, setInterval, clearInterval,
+        crypto, atob, btoa, structuredClone,
+        addEventListener: () => {},
+        fetch: async () => { throw new Error('Unexpected upstream request') },
+        ...globals
+    })
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'worker.js'), 'utf8'), context, { filename: 'worker.js' })
+    return context
+}
+
+/**
+ * 比较 worker 返回的对象（vm 上下文中的对象原型不同，按 JSON 结构比较）
+ * @param {*} actual - 实际值
+ * @param {*} expected - 期望值
+ */
+function assertJsonEqual(actual, expected) {
+    assert.deepEqual(JSON.parse(JSON.stringify(actual)), expected)
+}
+
+/**
+ * 创建 SSE 响应
+ * @param {Array} events - 事件数据（对象按 JSON 序列化）
+ * @returns {Response} - 响应
+ */
+function sseResponse(events) {
+    const encoder = new TextEncoder()
+    return new Response(new ReadableStream({
+        start(controller) {
+            for (const event of events) {
+                controller.enqueue(encoder.encode(`data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`))
+            }
+            controller.close()
+        }
+    }))
+}
+
+const OPENAI_RESPONSE = {
+    id: 'chatcmpl-test',
+    choices: [{ index: 0, message: { role: 'assistant', content: 'ok' }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 }
+}
+const ANTHROPIC_RESPONSE = {
+    id: 'msg_test',
+    type: 'message',
+    role: 'assistant',
+    content: [{ type: 'text', text: 'ok' }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 1, output_tokens: 1 }
+}
+
+/**
+ * 通过 handleRequest 发送请求，返回发给上游的请求体和客户端收到的响应
+ * @param {string} route - 路径（如 /openai/anthropic/v1/messages）
+ * @param {object} body - 客户端请求体
+ * @param {object} upstreamResponse - 模拟的上游响应体
+ * @returns {Promise<object>} - { upstream, response }
+ */
+async function sendRequest(route, body, upstreamResponse = OPENAI_RESPONSE) {
+    let upstream = null
+    const worker = loadWorker({
+        ALLOW_PASSTHROUGH: 'true',
+        fetch: async (url, init) => {
+            upstream = JSON.parse(init.body)
+            return new Response(JSON.stringify(upstreamResponse))
+        }
+    })
+    const response = await worker.handleRequest(new Request(`https://gateway.test${route}`, {
+        method: 'POST',
+        headers: { 'Authorization': 'Bearer test-token', 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    }))
+    return { upstream, response }
+}
+
+const toolResultRequest = {
+    model: 'claude-sonnet-4',
+    max_tokens: 100,
+    messages: [
+        { role: 'user', content: 'Take a screenshot' },
+        { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'screenshot', input: {} }] },
+        {
+            role: 'user',
+            content: [
+                {
+                    type: 'tool_result',
+                    tool_use_id: 'toolu_1',
+                    is_error: true,
+                    content: [
+                        { type: 'text', text: 'partial failure' },
+                        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' } }
+                    ]
+                },
+                { type: 'text', text: 'What went wrong?' }
+            ]
+        }
+    ]
+}
+
+test('工具结果的错误标记和图片：Claude → OpenAI', () => {
+    const worker = loadWorker()
+    const { messages } = worker.convertRequest(toolResultRequest, 'anthropic', 'openai', null, 'openai')
+    assertJsonEqual(messages.slice(2), [
+        { role: 'tool', tool_call_id: 'toolu_1', content: 'Error: partial failure' },
+        {
+            role: 'user',
+            content: [
+                { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' } },
+                { type: 'text', text: 'What went wrong?' }
+            ]
+        }
+    ])
+})
+
+test('工具结果的错误标记和图片：Claude → Gemini', () => {
+    const worker = loadWorker()
+    const { contents } = worker.convertRequest(toolResultRequest, 'anthropic', 'gemini', null, 'gemini')
+    assertJsonEqual(contents[2], {
+        role: 'user',
+        parts: [
+            { functionResponse: { name: 'screenshot', response: { error: 'partial failure' } } },
+            { inlineData: { mimeType: 'image/png', data: 'iVBORw0KGgo=' } },
+            { text: 'What went wrong?' }
+        ]
+    })
+})
+
+test('工具结果的错误标记：Gemini → Claude', () => {
+    const worker = loadWorker()
+    const { messages } = worker.convertRequest({
+        contents: [
+            { role: 'user', parts: [{ text: 'Run it' }] },
+            { role: 'model', parts: [{ functionCall: { name: 'run', args: {} } }] },
+            { role: 'user', parts: [{ functionResponse: { name: 'run', response: { error: 'boom' } } }] }
+        ]
+    }, 'gemini', 'anthropic', null, 'anthropic')
+    const toolResult = messages[2].content[0]
+    assert.equal(toolResult.type, 'tool_result')
+    assert.equal(toolResult.content, 'boom')
+    assert.equal(toolResult.is_error, true)
+    assert.equal(toolResult.tool_use_id, messages[1].content[0].id)
+})
+
+test('合并相邻消息时保留推理内容和缓存断点', () => {
+    const worker = loadWorker()
+    const cacheControl = { type: 'ephemeral' }
+    const { messages } = worker.convertRequest({
+        model: 'claude-sonnet-4',
+        messages: [
+            { role: 'user', content: 'first', cache_control: cacheControl },
+            { role: 'user', content: 'second' },
+            { role: 'assistant', content: 'a', reasoning_content: 'r1', reasoning_signature: 'sig-1' },
+            { role: 'assistant', content: 'b', reasoning_content: 'r2', cache_control: cacheControl },
+            { role: 'user', content: 'next' }
+        ]
+    }, 'openai', 'anthropic', null, 'anthropic')
+    assertJsonEqual(messages[0].content, [
+        { type: 'text', text: 'first', cache_control: cacheControl },
+        { type: 'text', text: 'second' }
+    ])
+    // 两条消息都有推理内容时拼接后的内容没有有效签名，不回传思考块
+    assertJsonEqual(messages[1].content, [{ type: 'text', text: 'a\n\nb', cache_control: cacheControl }])
+})
+
+test('上游没有签名的思考块：响应使用占位签名，回传 Claude 前移除', async () => {
+    const worker = loadWorker()
+    const geminiResponse = {
+        candidates: [{ content: { parts: [{ text: 'thinking', thought: true }, { text: 'answer' }] }, finishReason: 'STOP' }]
+    }
+    const converted = worker.convertResponse(geminiResponse, 'gemini', 'anthropic')
+    assertJsonEqual(converted.content[0], { type: 'thinking', thinking: 'thinking', signature: 'gateway-unsigned-thinking' })
+
+    const streamed = await worker.handleStreamResponse(sseResponse([
+        { candidates: [{ content: { parts: [{ text: 'thinking', thought: true }] } }] },
+        { candidates: [{ content: { parts: [{ text: 'answer' }] }, finishReason: 'STOP' }] }
+    ]), 'gemini', 'anthropic', {})
+    assert.match(await streamed.text(), /"signature_delta","signature":"gateway-unsigned-thinking"/)
+
+    const { upstream } = await sendRequest('/anthropic/anthropic/v1/messages', {
+        model: 'claude-sonnet-4',
+        max_tokens: 100,
+        messages: [
+            { role: 'user', content: 'q' },
+            { role: 'assistant', content: [converted.content[0], { type: 'text', text: 'answer' }] },
+            { role: 'user', content: 'q2' }
+        ]
+    }, ANTHROPIC_RESPONSE)
+    assertJsonEqual(upstream.messages[1].content, [{ type: 'text', text: 'answer' }])
+})
+
+test('流式工具调用：OpenAI → Claude', async () => {
+    const worker = loadWorker()
+    const response = await worker.handleStreamResponse(sseResponse([
+        { id: 'c1', choices: [{ index: 0, delta: { role: 'assistant', tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '' } }] } }] },
+        { id: 'c1', choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '{"q":' } }] } }] },
+        { id: 'c1', choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '"x"}' } }] } }] },
+        { id: 'c1', choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] },
+        '[DONE]'
+    ]), 'openai', 'anthropic', {})
+    const events = (await response.text()).split('\n')
+        .filter(line => line.startsWith('data: '))
+        .map(line => JSON.parse(line.slice(6)))
+    const start = events.find(event => event.type === 'content_block_start')
+    assertJsonEqual(start.content_block, { type: 'tool_use', id: 'call_1', name: 'lookup', input: {} })
+    const json = events
+        .filter(event => event.delta?.type === 'input_json_delta')
+        .map(event => event.delta.partial_json)
+        .join('')
+    assertJsonEqual(JSON.parse(json), { q: 'x' })
+    assert.equal(events.find(event => event.type === 'message_delta').delta.stop_reason, 'tool_use')
+    assert.equal(events[events.length - 1].type, 'message_stop')
+})
+
+test('平台参数策略：直接转发和格式转换相同', async () => {
+    const anthropicRequest = {
+        model: 'o3',
+        max_tokens: 5000,
+        top_k: 5,
+        thinking: { type: 'enabled', budget_tokens: 3000 },
+        messages: [{ role: 'user', content: 'q' }]
+    }
+    const openaiRequest = {
+        model: 'llama',
+        max_tokens: 20000,
+        top_k: 5,
+        n: 3,
+        logprobs: true,
+        top_logprobs: 2,
+        reasoning_effort: 'high',
+        messages: [{ role: 'user', content: 'q' }]
+    }
+
+    let { upstream, response } = await sendRequest('/openai/anthropic/v1/messages', anthropicRequest)
+    assert.equal(upstream.max_completion_tokens, 5000)
+    assert.equal(upstream.max_tokens, undefined)
+    assert.equal(upstream.top_k, undefined)
+    assert.equal(upstream.reasoning_effort, 'medium')
+    assert.equal(response.headers.get('X-Policy-Rules'), 'openai-max-completion-tokens, openai-unsupported')
+
+    ;({ upstream, response } = await sendRequest('/openrouter/anthropic/v1/messages', anthropicRequest))
+    assert.equal(upstream.top_k, 5)
+    assertJsonEqual(upstream.reasoning, { effort: 'medium' })
+    assert.equal(upstream.reasoning_effort, undefined)
+
+    ;({ upstream, response } = await sendRequest('/groq/openai/v1/chat/completions', openaiRequest))
+    assert.equal(upstream.max_tokens, 16384)
+    assert.equal(upstream.n, 1)
+    for (const field of ['top_k', 'logprobs', 'top_logprobs']) {
+        assert.equal(upstream[field], undefined)
+    }
+    assert.equal(response.headers.get('X-Policy-Rules'), 'groq-max-tokens, groq-unsupported')
+
+    // 没有修改请求的规则不出现在调试响应头中
+    ;({ response } = await sendRequest('/openai/openai/v1/chat/completions', { model: 'gpt-4o', max_tokens: 10, messages: [{ role: 'user', content: 'q' }] }))
+    assert.equal(response.headers.get('X-Policy-Rules'), null)
+})
+
+test('客户端的缓存断点超过 4 个时保留最后 4 个', async () => {
+    const cacheControl = { type: 'ephemeral' }
+    const { upstream } = await sendRequest('/anthropic/anthropic/v1/messages', {
+        model: 'claude-sonnet-4',
+        max_tokens: 100,
+        tools: [{ name: 't', input_schema: { type: 'object' }, cache_control: cacheControl }],
+        system: [{ type: 'text', text: 's', cache_control: cacheControl }],
+        messages: [
+            { role: 'user', content: [{ type: 'text', text: 'a', cache_control: cacheControl }, { type: 'text', text: 'b', cache_control: cacheControl }] },
+            { role: 'assistant', content: 'x' },
+            { role: 'user', content: [{ type: 'text', text: 'q', cache_control: cacheControl }] }
+        ]
+    }, ANTHROPIC_RESPONSE)
+    assert.equal(upstream.tools[0].cache_control, undefined)
+    assertJsonEqual(upstream.system[0].cache_control, cacheControl)
+    assert.equal(JSON.stringify(upstream.messages).match(/cache_control/g).length, 3)
+})
+
+test('无法转换的图片和文档返回转换错误', () => {
+    const worker = loadWorker()
+    const imageRequest = url => ({ model: 'm', messages: [{ role: 'user', content: [{ type: 'image_url', image_url: { url } }] }] })
+    assert.throws(() => worker.convertRequest(imageRequest('https://example.com/a.png'), 'openai', 'gemini', null, 'gemini'), { name: 'ConversionError' })
+    assert.equal(worker.convertRequest(imageRequest('gs://bucket/a.png'), 'openai', 'gemini', null, 'gemini').contents[0].parts[0].fileData.fileUri, 'gs://bucket/a.png')
+
+    const documentRequest = {
+        model: 'm',
+        max_tokens: 10,
+        messages: [{ role: 'user', content: [{ type: 'document', source: { type: 'url', url: 'https://example.com/a.pdf' } }] }]
+    }
+    assert.throws(() => worker.convertRequest(documentRequest, 'anthropic', 'openai', null, 'openai'), { name: 'ConversionError' })
+    assert.equal(worker.convertRequest(documentRequest, 'anthropic', 'openai', null, 'openrouter').messages[0].content[0].file.file_data, 'https://example.com/a.pdf')
+})
@@ -11,6 +11,11 @@ const API_FORMATS = {
             'Content-Type': 'application/json'
         },
         endpoint: '/v1/chat/completions',
+        // 参数策略：推理模型（o 系列、gpt-5）只接受 max_completion_tokens；top_k 不是 OpenAI 参数
+        policies: [
+            { name: 'openai-max-completion-tokens', models: ['o1*', 'o3*', 'o4*', 'gpt-5*'], rename: { max_tokens: 'max_completion_tokens' } },
+            { name: 'openai-unsupported', drop: ['top_k'] }
+        ],
         format: 'openai'
     },
     anthropic: {
@@ -26,9 +31,13 @@ const API_FORMATS = {
     gemini: {
         baseUrl: 'https://generativelanguage.googleapis.com',
         headers: {
+            'x-goog-api-key': '{token}',
             'Content-Type': 'application/json'
         },
         endpoint: '/v1beta/models/{model}:generateContent',
+        streamEndpoint: '/v1beta/models/{model}:streamGenerateContent?alt=sse',
+        // 请求中未指定模型时使用的默认模型
+        defaultModel: 'gemini-2.0-flash',
         format: 'gemini'
     },
     openrouter: {
@@ -38,11 +47,17 @@ const API_FORMATS = {
             'Content-Type': 'application/json'
         },
         endpoint: '/v1/chat/completions',
+        // OpenRouter 的 file_data 可以是文档 URL（OpenAI 只接受 base64 数据）
+        supportsDocumentUrls: true,
         // 模型映射配置（仅在 OpenRouter 下使用）
         modelMappings: {
             'claude-sonnet-4': 'moonshotai/kimi-k2:free',
             'claude-opus-4-20250514': 'moonshotai/kimi-k2:free',
         },
+        // 参数策略：OpenRouter 使用 reasoning 对象设置推理强度
+        policies: [
+            { name: 'openrouter-reasoning', rename: { reasoning_effort: 'reasoning.effort' } }
+        ],
         format: 'openai'
     },
     groq: {
@@ -57,24 +72,544 @@ const API_FORMATS = {
             'claude-sonnet-4': 'moonshotai/kimi-k2-instruct',
             'claude-opus-4-20250514': 'moonshotai/kimi-k2-instruct'
         },
+        // Groq 不支持文件（PDF 等文档）输入
+        supportsDocuments: false,
+        // 参数策略：max_tokens 的上限，以及 Groq 不支持的参数（n 只能为 1）
+        policies: [
+            { name: 'groq-max-tokens', clamp: { max_tokens: 16384, max_completion_tokens: 16384 } },
+            { name: 'groq-unsupported', drop: ['top_k', 'logprobs', 'top_logprobs'], clamp: { n: 1 } }
+        ],
         format: 'openai'
     }
 }
 
+// 新增平台时按格式补全的默认配置（认证请求头和端点）
+const PLATFORM_DEFAULTS_BY_FORMAT = {
+    openai: {
+        headers: {
+            'Authorization': 'Bearer {token}',
+            'Content-Type': 'application/json'
+        },
+        endpoint: '/v1/chat/completions',
+        policies: [
+            { name: 'openai-unsupported', drop: ['top_k'] }
+        ]
+    },
+    anthropic: {
+        headers: {
+            'x-api-key': '{token}',
+            'anthropic-version': '2023-06-01',
+            'Content-Type': 'application/json'
+        },
+        endpoint: '/v1/messages'
+    },
+    gemini: {
+        headers: {
+            'x-goog-api-key': '{token}',
+            'Content-Type': 'application/json'
+        },
+        endpoint: '/v1beta/models/{model}:generateContent',
+        streamEndpoint: '/v1beta/models/{model}:streamGenerateContent?alt=sse',
+        defaultModel: 'gemini-2.0-flash'
+    }
+}
+
+// 平台配置的缓存时间（毫秒），避免每个请求都读取 KV
+const PLATFORM_CONFIG_TTL = 60 * 1000
+
+// 当前生效的平台配置（默认配置与环境变量、KV 中的配置合并后的结果）
+let platformConfigCache = { platforms: API_FORMATS, loadedAt: 0 }
+
+/**
+ * 读取 JSON 配置
+ * 依次读取环境变量（JSON 字符串）和 KV 命名空间 CONFIG_KV 中的同名配置，返回顺序即优先级从低到高
+ * 无效的配置会被忽略并记录日志
+ * @param {string} envName - 环境变量名
+ * @param {string} kvKey - KV 键名
+ * @returns {Promise<Array>} - 解析后的配置对象列表
+ */
+async function readJsonConfigs(envName, kvKey) {
+    const sources = []
+    if (globalThis[envName]) {
+        sources.push({ name: envName, value: globalThis[envName] })
+    }
+    if (typeof CONFIG_KV !== 'undefined' && CONFIG_KV) {
+        try {
+            sources.push({ name: `CONFIG_KV:${kvKey}`, value: await CONFIG_KV.get(kvKey) })
+        } catch (error) {
+            console.error(`Failed to read ${kvKey} from KV:`, error)
+        }
+    }
+    
+    const configs = []
+    for (const source of sources) {
+        if (!source.value) continue
+        try {
+            configs.push(typeof source.value === 'string' ? JSON.parse(source.value) : source.value)
+        } catch (error) {
+            // 配置有误时忽略该来源，继续使用其余配置
+            console.error(`Invalid config in ${source.name}:`, error)
+        }
+    }
+    return configs
+}
+
+/**
+ * 加载平台配置
+ * 依次合并默认的 API_FORMATS、环境变量 PLATFORMS_CONFIG（JSON 字符串）和 KV 命名空间 CONFIG_KV 中的 platforms 键，
+ * 后者覆盖前者。配置格式为 { 平台名: 平台配置 }，已有平台的配置按字段覆盖，modelMappings 合并
+ * @returns {Promise<object>} - 平台配置
+ */
+async function loadPlatforms() {
+    if (Date.now() - platformConfigCache.loadedAt < PLATFORM_CONFIG_TTL) {
+        return platformConfigCache.platforms
+    }
+    
+    let platforms = API_FORMATS
+    for (const config of await readJsonConfigs('PLATFORMS_CONFIG', 'platforms')) {
+        platforms = mergePlatformConfig(platforms, config)
+    }
+    
+    platformConfigCache = { platforms: platforms, loadedAt: Date.now() }
+    return platforms
+}
+
+/**
+ * 将平台配置合并到已有配置中
+ * @param {object} platforms - 已有平台配置
+ * @param {object} config - 新的平台配置 { 平台名: 平台配置 }
+ * @returns {object} - 合并后的平台配置
+ */
+function mergePlatformConfig(platforms, config) {
+    const merged = { ...platforms }
+    for (const [name, platformConfig] of Object.entries(config || {})) {
+        const platform = name.toLowerCase()
+        const existing = merged[platform]
+        const format = platformConfig.format || existing?.format
+        if (!PLATFORM_DEFAULTS_BY_FORMAT[format]) {
+            console.error(`Platform '${platform}' has unsupported format: ${format}`)
+            continue
+        }
+        if (!existing && !platformConfig.baseUrl) {
+            console.error(`Platform '${platform}' is missing baseUrl`)
+            continue
+        }
+        merged[platform] = {
+            ...(existing || PLATFORM_DEFAULTS_BY_FORMAT[format]),
+            ...platformConfig,
+            format: format,
+            modelMappings: { ...(existing?.modelMappings || {}), ...(platformConfig.modelMappings || {}) },
+            policies: mergePolicies((existing || PLATFORM_DEFAULTS_BY_FORMAT[format]).policies, platformConfig.policies)
+        }
+    }
+    return merged
+}
+
+/**
+ * 合并参数策略：同名规则替换已有规则，其他规则追加在已有规则之后
+ * @param {Array} existing - 已有的规则（内置平台的默认规则）
+ * @param {Array} policies - 配置中的规则
+ * @returns {Array} - 合并后的规则
+ */
+function mergePolicies(existing = [], policies) {
+    if (!Array.isArray(policies)) {
+        return existing
+    }
+    const names = new Set(policies.map(rule => rule.name).filter(Boolean))
+    return [...existing.filter(rule => !names.has(rule.name)), ...policies]
+}
+
+/**
+ * 获取平台配置
+ * @param {string} platform - 平台名称
+ * @returns {object|undefined} - 平台配置
+ */
+function getPlatformConfig(platform) {
+    return platformConfigCache.platforms[platform]
+}
+
+/**
+ * 按模型映射规则查找目标模型
+ * 先匹配完整的模型名，再按声明顺序匹配通配符（如 claude-*）和正则（如 /^claude-(.*)$/，目标中可以使用 $1）规则
+ * @param {object} modelMappings - 模型映射规则
+ * @param {string} model - 请求的模型名称
+ * @returns {string|null} - 映射后的模型，没有匹配的规则时返回 null
+ */
+function resolveModelMapping(modelMappings, model) {
+    if (!modelMappings || !model) return null
+    if (Object.prototype.hasOwnProperty.call(modelMappings, model)) {
+        return modelMappings[model]
+    }
+    
+    for (const [pattern, target] of Object.entries(modelMappings)) {
+        const regex = modelPatternToRegExp(pattern)
+        if (regex && regex.test(model)) {
+            return model.replace(regex, target)
+        }
+    }
+    return null
+}
+
+/**
+ * 将模型名规则转换为正则表达式
+ * 支持正则（/^claude-(.*)$/i）和通配符（claude-*），普通模型名返回 null
+ * @param {string} pattern - 模型名规则
+ * @returns {RegExp|null} - 正则表达式
+ */
+function modelPatternToRegExp(pattern) {
+    const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/)
+    if (regexMatch) {
+        try {
+            return new RegExp(regexMatch[1], regexMatch[2])
+        } catch (e) {
+            console.error(`Invalid model pattern: ${pattern}`)
+            return null
+        }
+    }
+    if (pattern.includes('*')) {
+        const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')
+        return new RegExp(`^${escaped}$`)
+    }
+    return null
+}
+
+/**
+ * 判断模型名是否匹配规则列表（完整模型名、通配符或正则）
+ * @param {Array} patterns - 模型名规则列表
+ * @param {string} model - 模型名称
+ * @returns {boolean} - 是否匹配
+ */
+function matchesModelPatterns(patterns, model) {
+    return patterns.some(pattern => pattern === model || Boolean(model && modelPatternToRegExp(pattern)?.test(model)))
+}
+
+/**
+ * 应用平台配置中的参数策略（policies）
+ * 规则按声明顺序应用，models（模型名规则，省略时对所有模型生效）按映射后的模型匹配：
+ * - rename: 字段改名，{ 原字段: 新字段 }，新字段已有值时只移除原字段
+ * - clamp: 数值参数的范围，{ 字段: 上限 } 或 { 字段: { min, max } }
+ * - drop: 移除平台不支持的字段
+ * - defaults: 请求没有设置时填入的值
+ * - set: 总是设置的值（如平台特有的字段）
+ * - headers: 上游请求头，值为 null 时移除
+ * 字段可以使用点分隔的路径（如 Gemini 的 generationConfig.maxOutputTokens）。平台配置的 maxTokens 等价于一条名为 maxTokens 的 clamp 规则
+ * @param {object} body - 平台格式的请求体
+ * @param {object} config - 平台配置
+ * @param {object} baseHeaders - 应用策略前的上游请求头，用于判断规则是否改变了请求头
+ * @returns {object} - { body, headers, fired }，fired 为实际修改了请求体或请求头的规则名
+ */
+function applyPolicies(body, config, baseHeaders = {}) {
+    const rules = (config.policies || []).map((rule, i) => ({ ...rule, name: rule.name || `policy-${i + 1}` }))
+    if (config.maxTokens) {
+        rules.unshift({ name: 'maxTokens', clamp: { max_tokens: config.maxTokens, max_completion_tokens: config.maxTokens } })
+    }
+    
+    const headers = {}
+    const fired = []
+    for (const rule of rules) {
+        if (rule.models && !matchesModelPatterns([].concat(rule.models), body.model)) {
+            continue
+        }
+        const before = body
+        for (const [path, target] of Object.entries(rule.rename || {})) {
+            const value = getPath(body, path)
+            if (value !== undefined) {
+                body = setPath(body, path, undefined)
+                if (getPath(body, target) === undefined) {
+                    body = setPath(body, target, value)
+                }
+            }
+        }
+        for (const [path, limit] of Object.entries(rule.clamp || {})) {
+            const value = getPath(body, path)
+            const { min = -Infinity, max = Infinity } = typeof limit === 'number' ? { max: limit } : limit
+            if (typeof value === 'number' && (value < min || value > max)) {
+                body = setPath(body, path, Math.min(Math.max(value, min), max))
+            }
+        }
+        for (const path of [].concat(rule.drop || [])) {
+            if (getPath(body, path) !== undefined) {
+                body = setPath(body, path, undefined)
+            }
+        }
+        for (const [path, value] of Object.entries(rule.defaults || {})) {
+            if (getPath(body, path) === undefined) {
+                body = setPath(body, path, value)
+            }
+        }
+        for (const [path, value] of Object.entries(rule.set || {})) {
+            if (JSON.stringify(getPath(body, path)) !== JSON.stringify(value)) {
+                body = setPath(body, path, value)
+            }
+        }
+        const headersBefore = headersSignature(rewriteHeaders(baseHeaders, headers))
+        Object.assign(headers, rule.headers)
+        if (body !== before || headersSignature(rewriteHeaders(baseHeaders, headers)) !== headersBefore) {
+            fired.push(rule.name)
+        }
+    }
+    return { body, headers, fired }
+}
+
+/**
+ * 按点分隔的路径读取字段
+ * @param {object} object - 对象
+ * @param {string} path - 字段路径
+ * @returns {*} - 字段值
+ */
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => value?.[key], object)
+}
+
+/**
+ * 按点分隔的路径设置字段，返回修改后的副本（不修改原对象），值为 undefined 时删除字段
+ * @param {object} object - 对象
+ * @param {string} path - 字段路径
+ * @param {*} value - 字段值
+ * @returns {object} - 修改后的对象
+ */
+function setPath(object, path, value) {
+    const [key, ...rest] = path.split('.')
+    const copy = { ...object }
+    if (rest.length > 0) {
+        copy[key] = setPath(object?.[key], rest.join('.'), value)
+    } else if (value === undefined) {
+        delete copy[key]
+    } else {
+        copy[key] = value
+    }
+    return copy
+}
+
+/**
+ * 按参数策略改写上游请求头（请求头名不区分大小写，值为 null 时移除）
+ * @param {object} headers - 上游请求头
+ * @param {object} rewrites - 策略中的请求头
+ * @returns {object} - 改写后的请求头
+ */
+function rewriteHeaders(headers, rewrites) {
+    const result = { ...headers }
+    for (const [name, value] of Object.entries(rewrites)) {
+        for (const key of Object.keys(result)) {
+            if (key.toLowerCase() === name.toLowerCase()) {
+                delete result[key]
+            }
+        }
+        if (value !== null && value !== undefined) {
+            result[name] = String(value)
+        }
+    }
+    return result
+}
+
+/**
+ * 生成与请求头名大小写和顺序无关的比较值
+ * @param {object} headers - 请求头
+ * @returns {string} - 比较值
+ */
+function headersSignature(headers) {
+    return JSON.stringify(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]).sort())
+}
+
+// 按规则自动选择平台和模型的虚拟平台名（/auto/{client_format}）
+const AUTO_PLATFORM = 'auto'
+
+// Claude Code 的后台任务（生成标题、摘要等）使用 haiku 模型
+const BACKGROUND_MODEL_PATTERN = /haiku/i
+
+// 路由配置的缓存（与平台配置使用相同的缓存时间）
+let routerConfigCache = { router: null, loadedAt: 0 }
+
+/**
+ * 加载路由配置
+ * 来自环境变量 ROUTER_CONFIG（JSON 字符串）和 KV 命名空间 CONFIG_KV 中的 router 键，后者的字段覆盖前者
+ * 格式为 { rules: [{ name, when, platform, model }], default: { platform, model } }
+ * @returns {Promise<object|null>} - 路由配置，未配置时返回 null
+ */
+async function loadRouterConfig() {
+    if (Date.now() - routerConfigCache.loadedAt < PLATFORM_CONFIG_TTL) {
+        return routerConfigCache.router
+    }
+    
+    const configs = await readJsonConfigs('ROUTER_CONFIG', 'router')
+    const router = configs.length > 0 ? Object.assign({}, ...configs) : null
+    routerConfigCache = { router: router, loadedAt: Date.now() }
+    return router
+}
+
+/**
+ * 为 auto 平台的请求选择路由
+ * 按声明顺序匹配规则，第一个满足 when 中全部条件的规则生效，都不满足时使用 default
+ * @param {object} requestBody - 客户端请求体
+ * @param {string} clientFormat - 客户端格式
+ * @returns {Promise<object|null>} - { name, platform, model }，没有可用路由时返回 null
+ */
+async function resolveRoute(requestBody, clientFormat) {
+    const router = await loadRouterConfig()
+    if (!router) {
+        return null
+    }
+    
+    const features = getRoutingFeatures(toStandardFormat(requestBody, clientFormat))
+    const rules = router.rules || []
+    const toRoute = (name, target) => ({ name: name, platform: String(target.platform || '').toLowerCase(), model: target.model })
+    for (let i = 0; i < rules.length; i++) {
+        if (matchesRouteConditions(rules[i].when || {}, features)) {
+            return toRoute(rules[i].name || `rule-${i + 1}`, rules[i])
+        }
+    }
+    return router.default ? toRoute('default', router.default) : null
+}
+
+/**
+ * 提取请求中用于路由的特征
+ * @param {object} standard - 标准格式请求
+ * @returns {object} - { model, tokens, tools, images, thinking, background }
+ */
+function getRoutingFeatures(standard) {
+    const parts = standard.messages.flatMap(message => Array.isArray(message.content) ? message.content : [])
+    return {
+        model: standard.model,
+        tokens: estimatePromptTokens(standard),
+        tools: Boolean(standard.tools && standard.tools.length > 0),
+        images: parts.some(part => part.type === 'image_url'),
+        thinking: Boolean(standard.reasoning && standard.reasoning.enabled),
+        background: BACKGROUND_MODEL_PATTERN.test(standard.model)
+    }
+}
+
+// 本地估算 token 数时每张图片计入的 token 数（Claude 按约 1.15 百万像素的图片计算）
+const IMAGE_TOKEN_ESTIMATE = 1600
+
+// 本地估算 token 数时每条消息的格式开销（角色标记等）
+const MESSAGE_TOKEN_OVERHEAD = 4
+
+/**
+ * 粗略估算提示词的 token 数
+ * 文本（系统提示词、消息、工具调用参数和工具定义）按每 4 个字符约 1 个 token 计算，图片每张按 IMAGE_TOKEN_ESTIMATE 计算，
+ * 内联的文档按解码后的大小（每 4 字节约 1 个 token）计算，无法获取大小的文档按一张图片计算
+ * @param {object} standard - 标准格式请求
+ * @returns {number} - 估算的 token 数
+ */
+function estimatePromptTokens(standard) {
+    let characters = standard.tools ? JSON.stringify(standard.tools).length : 0
+    let tokens = standard.messages.length * MESSAGE_TOKEN_OVERHEAD
+    const addContent = content => {
+        if (typeof content === 'string') {
+            characters += content.length
+            return
+        }
+        for (const part of Array.isArray(content) ? content : []) {
+            if (typeof part === 'string') {
+                characters += part.length
+            } else if (part.type === 'image_url') {
+                tokens += IMAGE_TOKEN_ESTIMATE
+            } else if (part.type === 'file') {
+                const data = (part.file?.file_data || '').match(/^data:[^,]*,(.*)$/)
+                if (data) {
+                    characters += Math.floor(data[1].length * 3 / 4)
+                } else {
+                    tokens += IMAGE_TOKEN_ESTIMATE
+                }
+            } else {
+                characters += (part.text || '').length
+            }
+        }
+    }
+    addContent(standard.system)
+    for (const message of standard.messages) {
+        addContent(message.content)
+        for (const toolCall of message.tool_calls || []) {
+            characters += toolCall.function.name.length + (toolCall.function.arguments || '').length
+        }
+    }
+    return tokens + Math.ceil(characters / 4)
+}
+
+/**
+ * 判断请求特征是否满足规则的全部条件
+ * - model: 模型名规则（字符串或列表，支持通配符和正则）
+ * - minTokens: 估算的提示词 token 数不少于该值（长上下文）
+ * - tools / images / thinking / background: 是否包含工具、图片，是否启用推理，是否为后台（haiku）请求
+ * @param {object} when - 规则条件
+ * @param {object} features - 请求特征
+ * @returns {boolean} - 是否满足
+ */
+function matchesRouteConditions(when, features) {
+    if (when.model && !matchesModelPatterns([].concat(when.model), features.model)) {
+        return false
+    }
+    if (when.minTokens !== undefined && features.tokens < when.minTokens) {
+        return false
+    }
+    return ['tools', 'images', 'thinking', 'background']
+        .every(feature => when[feature] === undefined || when[feature] === features[feature])
+}
+
+// HTTP 状态码与各格式错误类型的对应关系（未列出的状态码按 400 / 500 处理）
+const ERROR_TYPES_BY_STATUS = {
+    400: { anthropic: 'invalid_request_error', openai: 'invalid_request_error', gemini: 'INVALID_ARGUMENT' },
+    401: { anthropic: 'authentication_error', openai: 'authentication_error', gemini: 'UNAUTHENTICATED' },
+    403: { anthropic: 'permission_error', openai: 'permission_error', gemini: 'PERMISSION_DENIED' },
+    404: { anthropic: 'not_found_error', openai: 'not_found_error', gemini: 'NOT_FOUND' },
+    413: { anthropic: 'request_too_large', openai: 'invalid_request_error', gemini: 'INVALID_ARGUMENT' },
+    429: { anthropic: 'rate_limit_error', openai: 'rate_limit_error', gemini: 'RESOURCE_EXHAUSTED' },
+    500: { anthropic: 'api_error', openai: 'server_error', gemini: 'INTERNAL' },
+    503: { anthropic: 'overloaded_error', openai: 'server_error', gemini: 'UNAVAILABLE' },
+    504: { anthropic: 'timeout_error', openai: 'server_error', gemini: 'DEADLINE_EXCEEDED' },
+    529: { anthropic: 'overloaded_error', openai: 'server_error', gemini: 'UNAVAILABLE' }
+}
+
+/**
+ * 格式转换错误（请求内容无法转换为目标平台格式）
+ * 会以客户端格式的错误结构返回
+ */
+class ConversionError extends Error {
+    /**
+     * @param {string} message - 错误信息
+     * @param {number} status - HTTP 状态码
+     */
+    constructor(message, status = 400) {
+        super(message)
+        this.name = 'ConversionError'
+        this.status = status
+    }
+}
+
+/**
+ * 上游超时错误（连接超时或流式响应长时间没有数据）
+ * 以 504 和客户端格式的错误结构返回
+ */
+class UpstreamTimeoutError extends Error {
+    /**
+     * @param {string} message - 错误信息
+     */
+    constructor(message) {
+        super(message)
+        this.name = 'UpstreamTimeoutError'
+        this.status = 504
+    }
+}
+
 /**
  * 处理传入的请求并进行格式转换
  * @param {Request} request - 传入的 HTTP 请求
  * @returns {Promise<Response>} - 返回转换后的响应
  */
 async function handleRequest(request) {
+    let clientFormat = null
+    
     try {
+        // 加载平台配置（默认配置 + 环境变量 / KV 中的自定义配置）
+        const platforms = await loadPlatforms()
+        
         // 处理 CORS 预检请求
         if (request.method === 'OPTIONS') {
             return new Response(null, {
                 status: 200,
                 headers: {
                     'Access-Control-Allow-Origin': '*',
-                    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+                    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
                     'Access-Control-Allow-Headers': 'Content-Type, Authorization, Accept, x-api-key, x-goog-api-key, anthropic-version, anthropic-beta, cache-control',
                     'Access-Control-Max-Age': '86400'
                 }
@@ -90,7 +625,7 @@ async function handleRequest(request) {
                         name: "API格式转换服务",
                         description: "这是一个通用的AI API格式转换服务，支持在不同AI平台之间进行API格式转换",
                         version: "1.0.0",
-                        supported_platforms: ["openai", "anthropic", "gemini", "openrouter", "groq"],
+                        supported_platforms: Object.keys(platforms),
                         supported_formats: ["openai", "anthropic", "gemini"],
                         usage: {
                             endpoint: "/{platform}/{client_format}",
@@ -119,8 +654,15 @@ async function handleRequest(request) {
                         }
                     })
                 }
+                
+                // 模型列表：/{platform}/{client_format}/v1/models 或 /{platform}/gemini/v1beta/models
+                const modelsRoute = url.pathname.match(/^\/([^/]+)\/([^/]+)\/(?:v1|v1beta)\/models\/?$/)
+                if (modelsRoute) {
+                    clientFormat = modelsRoute[2].toLowerCase()
+                    return await handleModelsRequest(request, modelsRoute[1].toLowerCase(), clientFormat, platforms)
+                }
             }
-            return new Response('Method Not Allowed', { status: 405 })
+            return createErrorResponse('Method Not Allowed', 405, clientFormat)
         }
 
         const url = new URL(request.url)
@@ -131,512 +673,3343 @@ async function handleRequest(request) {
         // 2. /{platform}/{client_format}/v1/messages - Claude Code 格式
         // 3. /{platform}/{client_format}/v1/chat/completions - 其他客户端格式
         if (pathParts.length < 2) {
-            return new Response('Invalid path format. Expected: /{platform}/{client_format}', { status: 400 })
+            return createErrorResponse('Invalid path format. Expected: /{platform}/{client_format}', 400, clientFormat)
         }
 
-        const platform = pathParts[0].toLowerCase()
-        const clientFormat = pathParts[1].toLowerCase()
+        let platform = pathParts[0].toLowerCase()
+        clientFormat = pathParts[1].toLowerCase()
         
         // 检查是否有额外的路径段（如 /v1/messages）
         const hasApiPath = pathParts.length > 2
+        const apiPath = hasApiPath ? '/' + pathParts.slice(2).join('/') : ''
         if (hasApiPath) {
             // 验证API路径格式
-            const apiPath = '/' + pathParts.slice(2).join('/')
-            const validApiPaths = ['/v1/messages', '/v1/chat/completions', '/v1beta/models']
+            const validApiPaths = ['/v1/messages', '/v1/chat/completions', '/v1beta/models', '/v1/models']
             const isValidApiPath = validApiPaths.some(path => apiPath.startsWith(path))
             
             if (!isValidApiPath) {
-                return new Response(`Invalid API path: ${apiPath}. Supported paths: ${validApiPaths.join(', ')}`, { status: 404 })
+                return createErrorResponse(`Invalid API path: ${apiPath}. Supported paths: ${validApiPaths.join(', ')}`, 404, clientFormat)
             }
         }
 
-        // 验证平台是否支持
-        if (!API_FORMATS[platform]) {
-            return new Response('Unsupported platform', { status: 400 })
+        // 验证平台是否支持（auto 平台在读取请求体后按路由规则选择）
+        if (platform !== AUTO_PLATFORM && !platforms[platform]) {
+            return createErrorResponse(`Unsupported platform: ${platform}`, 400, clientFormat)
         }
 
         // 验证客户端格式是否支持
         const supportedFormats = ['openai', 'anthropic', 'gemini']
         if (!supportedFormats.includes(clientFormat)) {
-            return new Response('Unsupported client format', { status: 400 })
+            return createErrorResponse(`Unsupported client format: ${clientFormat}`, 400, 'openai')
         }
 
         // 获取请求体
-        const requestBody = await request.json()
-        
-        // 获取平台的实际格式
-        const platformFormat = API_FORMATS[platform].format
-        
-        // 获取认证信息
-        const authToken = extractAuthToken(request, platformFormat)
-        if (!authToken) {
-            return new Response('Missing authentication token', { status: 401 })
+        let requestBody
+        try {
+            requestBody = await request.json()
+        } catch (e) {
+            return createErrorResponse(`Invalid JSON body: ${e.message}`, 400, clientFormat)
         }
         
-        // 认证和格式验证完成
-
-        // 如果平台格式和客户端格式相同，直接转发
-        if (platformFormat === clientFormat) {
-            // 对于特定平台，即使格式相同也需要特殊处理
-            let finalRequestBody = requestBody
-            
-            // 对于 groq 平台，限制 max_tokens 不超过 16384
-            if (platform === 'groq') {
-                finalRequestBody = { ...requestBody }
-                if (finalRequestBody.max_tokens && finalRequestBody.max_tokens > 16384) {
-                    finalRequestBody.max_tokens = 16384
-                }
+        // Gemini 原生路径：模型和流式模式由 URL 决定（models/{model}:streamGenerateContent?alt=sse）
+        const geminiRoute = clientFormat === 'gemini' ? parseGeminiApiPath(apiPath, url) : null
+        if (geminiRoute) {
+            // countTokens 的请求体可以把完整的生成请求包装在 generateContentRequest 中
+            if (geminiRoute.countTokens && requestBody.generateContentRequest) {
+                requestBody = { ...requestBody.generateContentRequest }
             }
-            
-            // 对于 OpenRouter 平台，处理 cache_control
-            if (platform === 'openrouter') {
-                // 清理所有消息中的 cache_control（无论是否为 Claude 模型）
-                finalRequestBody = { ...requestBody }
-                finalRequestBody.messages = removeCacheControlFromMessages(finalRequestBody.messages)
-                
-                // 只有 Claude 模型且有 anthropic-beta 请求头时才添加 cache_control
-                const anthropicBeta = request.headers.get('anthropic-beta')
-                if (anthropicBeta && anthropicBeta.includes('prompt-caching') && isClaudeModel(requestBody.model)) {
-                    finalRequestBody.messages = addCacheControlToMessages(finalRequestBody.messages)
-                }
+            requestBody.model = geminiRoute.model
+            requestBody.stream = geminiRoute.stream
+        }
+        // Gemini 客户端未使用 alt=sse 时，流式响应以 JSON 数组形式返回
+        // 客户端断开连接时取消上游请求（包括正在转换的流）
+        const abortController = new AbortController()
+        request.signal?.addEventListener('abort', () => abortController.abort())
+        const streamOptions = {
+            jsonArray: geminiRoute ? geminiRoute.stream && !geminiRoute.sse : false,
+            abortController: abortController
+        }
+        const countTokens = geminiRoute ? geminiRoute.countTokens : COUNT_TOKENS_PATHS.includes(apiPath)
+        
+        // auto 平台：按路由规则选择平台和模型，之后按普通请求处理
+        const requestedModel = requestBody.model
+        const routeHeaders = {}
+        if (platform === AUTO_PLATFORM) {
+            const route = await resolveRoute(requestBody, clientFormat)
+            if (!route) {
+                return createErrorResponse('No routing rule matched the request', 400, clientFormat)
             }
-            
-            // 直接转发请求到目标平台
-            const targetConfig = API_FORMATS[platform]
-            const targetUrl = buildTargetUrl(targetConfig, finalRequestBody.model, platformFormat)
-            const targetHeaders = buildTargetHeaders(targetConfig, authToken, platformFormat, request)
-            
-            // 发送请求到目标平台
-            const response = await fetch(targetUrl, {
-                method: 'POST',
-                headers: targetHeaders,
-                body: JSON.stringify(finalRequestBody)
-            })
-
-            if (!response.ok) {
-                const errorText = await response.text()
-                return new Response(`Platform API Error: ${errorText}`, { 
-                    status: response.status 
-                })
+            if (!platforms[route.platform]) {
+                return createErrorResponse(`Routing rule '${route.name}' targets unsupported platform: ${route.platform}`, 500, clientFormat)
             }
-
-            // 检查是否为流式响应
-            if (requestBody.stream) {
-                // 对于流式响应，直接转发响应流
-                return new Response(response.body, {
-                    status: response.status,
-                    headers: {
-                        'Content-Type': 'text/event-stream',
-                        'Cache-Control': 'no-cache',
-                        'Connection': 'keep-alive',
-                        'Access-Control-Allow-Origin': '*',
-                        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-                        'Access-Control-Allow-Methods': 'POST, OPTIONS'
-                    }
-                })
+            platform = route.platform
+            if (route.model) {
+                requestBody.model = route.model
             }
-
-            const responseData = await response.json()
-            
-            return new Response(JSON.stringify(responseData), {
-                status: 200,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*'
-                }
-            })
+            routeHeaders['X-Router-Rule'] = route.name
+            routeHeaders['X-Router-Target'] = `${platform}:${requestBody.model || ''}`
         }
-
-        // 需要格式转换
-        // 1. 将客户端格式转换为平台格式
-        const convertedRequest = convertRequest(requestBody, clientFormat, platformFormat, request, platform)
         
-        // 2. 应用模型映射（如果平台支持）
-        const mappedRequest = applyModelMapping(convertedRequest, platform)
+        // 认证客户端（网关密钥或透传的客户端令牌），模型权限按客户端请求的模型检查
+        const auth = await authenticateRequest(request, platform, clientFormat, requestedModel || '')
+        if (auth.error) {
+            return withResponseHeaders(createErrorResponse(auth.error, auth.status, clientFormat), routeHeaders)
+        }
         
-        // 3. 构建目标API请求
-        const targetConfig = API_FORMATS[platform]
-        const targetUrl = buildTargetUrl(targetConfig, mappedRequest.model, platformFormat)
-        const targetHeaders = buildTargetHeaders(targetConfig, authToken, platformFormat, request)
-
-        // 4. 发送请求到目标API
-        const response = await fetch(targetUrl, {
-            method: 'POST',
-            headers: targetHeaders,
-            body: JSON.stringify(mappedRequest)
-        })
-
-        if (!response.ok) {
-            const errorText = await response.text()
-            return new Response(`Platform API Error: ${errorText}`, { 
-                status: response.status 
-            })
+        // 计算 token 数的请求不生成内容，单独处理
+        if (countTokens) {
+            return withResponseHeaders(await handleCountTokens(requestBody, platform, clientFormat, request, auth), routeHeaders)
         }
-
-        // 检查是否为流式响应
-        if (mappedRequest.stream) {
-            // 对于流式响应且需要格式转换的情况
-            return await handleStreamResponse(response, platformFormat, clientFormat)
+        
+        // 候选上游：主平台及其故障转移链，每个候选使用各自的密钥池
+        const targets = resolveUpstreamTargets(platform, auth)
+        if (targets.length === 0) {
+            return withResponseHeaders(
+                createErrorResponse(`No upstream credentials configured for platform '${platform}'`, 500, clientFormat),
+                routeHeaders
+            )
         }
-
-        // 5. 转换响应格式
-        const responseData = await response.json()
-        const convertedResponse = convertResponse(responseData, platformFormat, clientFormat)
-
-        return new Response(JSON.stringify(convertedResponse), {
-            status: 200,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*'
-            }
-        })
+        
+        // 发送请求，失败时按重试和故障转移策略重新发送（此时还没有向客户端输出任何内容）
+        const upstream = await fetchWithFailover(targets, target =>
+            prepareUpstreamRequest(target, requestBody, clientFormat, request), abortController.signal)
+        const attemptHeaders = {
+            ...routeHeaders,
+            'X-Upstream-Attempt': String(upstream.attempt),
+            'X-Upstream-Platform': upstream.prepared.platform,
+            'X-Upstream-Model': upstream.prepared.model || ''
+        }
+        // 调试信息：实际修改了请求的参数策略
+        if (upstream.prepared.policies.length > 0) {
+            attemptHeaders['X-Policy-Rules'] = upstream.prepared.policies.join(', ')
+        }
+        
+        if (upstream.error) {
+            return withResponseHeaders(
+                createErrorResponse(`Platform API Error: ${upstream.error.message}`, upstream.error.status || 502, clientFormat),
+                attemptHeaders
+            )
+        }
+        if (!upstream.response.ok) {
+            return withResponseHeaders(await createUpstreamErrorResponse(upstream.response, clientFormat), attemptHeaders)
+        }
+        return withResponseHeaders(
+            await handleUpstreamResponse(upstream.response, upstream.prepared, clientFormat, streamOptions),
+            attemptHeaders
+        )
 
     } catch (error) {
-        return new Response(`Internal Error: ${error.message}`, { status: 500 })
+        if (error instanceof ConversionError || error instanceof UpstreamTimeoutError) {
+            return createErrorResponse(error.message, error.status, clientFormat)
+        }
+        return createErrorResponse(`Internal Error: ${error.message}`, 500, clientFormat)
     }
 }
 
 /**
- * 应用模型映射（如果平台支持）
- * @param {object} request - 请求对象
- * @param {string} platform - 目标平台
- * @returns {object} - 应用映射后的请求
+ * 获取返回给客户端的 HTTP 状态码
+ * 529（Claude 过载）只有 Claude 客户端能识别，其他格式使用 503
+ * @param {number} status - 原始状态码
+ * @param {string} clientFormat - 客户端格式
+ * @returns {number} - 客户端状态码
  */
-function applyModelMapping(request, platform) {
-    const mappedRequest = { ...request }
-    
-    // 获取平台的配置
-    const platformConfig = API_FORMATS[platform]
-    
-    // 只有当平台有模型映射配置且请求中有模型时才应用映射
-    if (platformConfig && platformConfig.modelMappings && request.model) {
-        const mappedModel = platformConfig.modelMappings[request.model]
-        if (mappedModel) {
-            mappedRequest.model = mappedModel
-        }
+function getClientErrorStatus(status, clientFormat) {
+    if (status === 529 && clientFormat !== 'anthropic') {
+        return 503
     }
-    
-    return mappedRequest
+    return status
 }
 
 /**
- * 提取认证令牌
- * @param {Request} request - 请求对象
- * @param {string} platformFormat - 平台格式
- * @returns {string|null} - 认证令牌
+ * 获取状态码在指定格式中对应的错误类型
+ * @param {number} status - HTTP 状态码
+ * @param {string} format - 格式
+ * @returns {string} - 错误类型（Gemini 为 status 字段的取值）
  */
-function extractAuthToken(request, platformFormat) {
-    // 尝试多种认证方式
-    const authHeader = request.headers.get('Authorization')
-    const apiKey = request.headers.get('x-api-key')
-    const googApiKey = request.headers.get('x-goog-api-key')
-    const urlKey = new URL(request.url).searchParams.get('key')
-    
-    if (authHeader) {
-        // 移除Bearer前缀（如果存在）
+function getErrorType(status, format) {
+    const types = ERROR_TYPES_BY_STATUS[status] || ERROR_TYPES_BY_STATUS[status >= 500 ? 500 : 400]
+    return types[format] || types.openai
+}
+
+/**
+ * 根据任意格式的错误类型推断 HTTP 状态码
+ * @param {string} type - 错误类型（如 overloaded_error、RESOURCE_EXHAUSTED）
+ * @returns {number|null} - HTTP 状态码，无法识别时返回 null
+ */
+function errorTypeToStatus(type) {
+    if (!type) return null
+    for (const [status, types] of Object.entries(ERROR_TYPES_BY_STATUS)) {
+        if (Object.values(types).includes(type)) {
+            return Number(status)
+        }
+    }
+    return null
+}
+
+/**
+ * 按客户端格式构建错误结构
+ * @param {string} message - 错误信息
+ * @param {number} status - HTTP 状态码
+ * @param {string} clientFormat - 客户端格式
+ * @param {string} code - OpenAI 错误码（如 context_length_exceeded）
+ * @returns {object} - 错误结构
+ */
+function createErrorBody(message, status, clientFormat, code = null) {
+    const type = getErrorType(status, clientFormat)
+    switch (clientFormat) {
+        case 'anthropic':
+            return { type: 'error', error: { type: type, message: message } }
+        case 'gemini':
+            return { error: { code: status, message: message, status: type } }
+        default:
+            return { error: { message: message, type: type, code: code } }
+    }
+}
+
+/**
+ * 按客户端格式构建错误响应
+ * @param {string} message - 错误信息
+ * @param {number} status - HTTP 状态码
+ * @param {string} clientFormat - 客户端格式（未知时使用 OpenAI 格式）
+ * @param {string} code - OpenAI 错误码
+ * @returns {Response} - 错误响应
+ */
+function createErrorResponse(message, status, clientFormat, code = null) {
+    const clientStatus = getClientErrorStatus(status, clientFormat)
+    return new Response(JSON.stringify(createErrorBody(message, clientStatus, clientFormat, code)), {
+        status: clientStatus,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+        }
+    })
+}
+
+/**
+ * 解析任意格式的上游错误结构
+ * 支持 Claude {type: "error", error: {type, message}}、OpenAI {error: {message, type, code}}、
+ * Gemini {error: {code, message, status}}（流式端点可能包装在数组中），以及字符串形式的 error
+ * @param {object} body - 上游错误结构
+ * @param {number} status - 上游 HTTP 状态码（流式错误事件中没有时为 null）
+ * @returns {object|null} - { message, status, code }，不是错误结构时返回 null
+ */
+function parseUpstreamError(body, status = null) {
+    if (Array.isArray(body)) {
+        body = body[0]
+    }
+    const error = body?.error
+    if (!error) {
+        return null
+    }
+    if (typeof error === 'string') {
+        return { message: error, status: status || 500, code: null }
+    }
+    return {
+        message: error.message || JSON.stringify(error),
+        status: status || (typeof error.code === 'number' ? error.code : null) || errorTypeToStatus(error.type || error.status) || 500,
+        // 只有 OpenAI 兼容平台的字符串错误码对客户端有意义
+        code: typeof error.code === 'string' ? error.code : null
+    }
+}
+
+/**
+ * 将上游平台的错误响应转换为客户端格式的错误响应
+ * @param {Response} response - 上游错误响应
+ * @param {string} clientFormat - 客户端格式
+ * @returns {Promise<Response>} - 客户端格式的错误响应
+ */
+async function createUpstreamErrorResponse(response, clientFormat) {
+    const errorText = await response.text()
+    let error = null
+    try {
+        error = parseUpstreamError(JSON.parse(errorText), response.status)
+    } catch (e) {
+        // 非 JSON 错误内容（如网关返回的 HTML）作为错误信息原样返回
+    }
+    if (!error) {
+        error = { message: errorText || `Upstream returned HTTP ${response.status}`, status: response.status, code: null }
+    }
+    return createErrorResponse(`Platform API Error: ${error.message}`, error.status, clientFormat, error.code)
+}
+
+// 上游请求的默认重试策略（可以在平台配置的 retry 字段中覆盖）
+const DEFAULT_RETRY_POLICY = {
+    maxRetries: 2,
+    baseDelayMs: 500,
+    maxDelayMs: 8000
+}
+
+// 上游请求的默认超时设置（可以在平台配置的 timeouts 字段中覆盖）
+// connectMs: 流式请求等待响应头的时间；requestMs: 非流式请求等待响应的时间；
+// idleMs: 流式响应两次数据之间的最长间隔；keepAliveMs: 上游没有输出时向客户端发送保活事件的间隔
+const DEFAULT_TIMEOUTS = {
+    connectMs: 30000,
+    requestMs: 600000,
+    idleMs: 120000,
+    keepAliveMs: 15000
+}
+
+// 可以重试的上游状态码（限流、超时、服务端错误、过载）
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529]
+
+// 每个平台密钥池的下一个起始位置，使请求在多个密钥之间轮换
+const keyRotation = {}
+
+/**
+ * 解析主平台及其故障转移链
+ * 平台配置的 fallbacks 为有序的 [{ platform, model }] 列表，model 省略时使用该平台对客户端模型的映射。
+ * 故障转移只用于网关密钥（透传的客户端令牌不能用于其他平台），也不会转移到网关密钥不允许的平台或模型
+ * @param {string} platform - 客户端请求的平台
+ * @param {object} auth - 认证结果
+ * @returns {Array} - 候选上游 [{ platform, model, tokens }]
+ */
+function resolveUpstreamTargets(platform, auth) {
+    const candidates = [{ platform: platform }, ...(getPlatformConfig(platform).fallbacks || [])]
+    const targets = []
+    for (const candidate of candidates) {
+        const name = String(candidate.platform || '').toLowerCase()
+        if (!getPlatformConfig(name)) {
+            console.error(`Fallback platform '${name}' is not configured`)
+            continue
+        }
+        if (auth.keyConfig?.platforms && !auth.keyConfig.platforms.includes(name)) {
+            continue
+        }
+        if (candidate.model && auth.keyConfig?.models && !matchesModelPatterns(auth.keyConfig.models, candidate.model)) {
+            continue
+        }
+        const tokens = getUpstreamTokens(name, auth, name === platform)
+        if (tokens.length > 0) {
+            targets.push({ platform: name, model: candidate.model, tokens: tokens })
+        }
+    }
+    return targets
+}
+
+/**
+ * 按候选上游准备请求（转换格式、应用模型映射、构建 URL 和请求体）
+ * @param {object} target - 候选上游
+ * @param {object} requestBody - 客户端请求体
+ * @param {string} clientFormat - 客户端格式
+ * @param {Request} request - 客户端请求
+ * @returns {object} - 上游请求信息
+ */
+function prepareUpstreamRequest(target, requestBody, clientFormat, request) {
+    const config = getPlatformConfig(target.platform)
+    const platformFormat = config.format
+    const context = {}
+    let body
+    
+    // 平台配置了 streamMode 时，上游的流式模式可以与客户端不同（见 handleUpstreamResponse）
+    const clientStream = Boolean(requestBody.stream)
+    const upstreamStream = config.streamMode === 'always' ? true : config.streamMode === 'never' ? false : clientStream
+    const includeUsage = Boolean(requestBody.stream_options?.include_usage)
+    if (upstreamStream !== clientStream) {
+        const { stream_options, ...rest } = requestBody
+        requestBody = { ...rest, stream: upstreamStream }
+    }
+    
+    // 如果平台格式和客户端格式相同，直接转发
+    if (platformFormat === clientFormat) {
+        body = target.model ? { ...requestBody, model: target.model } : requestBody
+        
+        // 由网关合并流式响应时，需要上游在流的最后返回用量
+        if (upstreamStream && !clientStream && platformFormat === 'openai') {
+            body = { ...body, stream_options: { include_usage: true } }
+        }
+    } else {
+        // 需要格式转换：将客户端格式转换为平台格式，再应用模型映射（如果平台支持）
+        const convertedRequest = convertRequest(requestBody, clientFormat, platformFormat, request, target.platform, context)
+        body = applyModelMapping(convertedRequest, target.platform)
+        if (target.model) {
+            body.model = target.model
+        }
+    }
+    // 按客户端的请求决定是否在流的最后输出用量（上游的流式模式可能与客户端不同）
+    context.includeUsage = includeUsage
+    
+    // 网关生成的思考块不能回传给 Claude（直接转发时也需要移除）
+    if (platformFormat === 'anthropic') {
+        body = { ...body, messages: removeUnsignedThinking(body.messages) }
+    }
+    
+    // 按目标保留、添加或移除缓存断点，再应用平台的参数策略（格式相同和需要转换时相同）
+    body = applyPromptCaching(body, platformFormat, target.platform, request)
+    const policy = applyPolicies(body, config, buildTargetHeaders(config, '', platformFormat, request))
+    body = policy.body
+    
+    // Gemini 客户端要求 JSON 数组分帧时，上游仍使用 SSE，由流式处理转换分帧
+    const url = buildTargetUrl(config, body.model, platformFormat, body.stream)
+    
+    return {
+        platform: target.platform,
+        model: body.model,
+        config: config,
+        format: platformFormat,
+        direct: platformFormat === clientFormat,
+        stream: upstreamStream,
+        clientStream: clientStream,
+        context: context,
+        timeouts: { ...DEFAULT_TIMEOUTS, ...(config.timeouts || {}) },
+        policies: policy.fired,
+        url: url,
+        body: JSON.stringify(buildTargetBody(body, platformFormat)),
+        headers: token => rewriteHeaders(buildTargetHeaders(config, token, platformFormat, request), policy.headers)
+    }
+}
+
+/**
+ * 发送上游请求，失败时重试、轮换密钥并按故障转移链切换平台
+ * - 限流、超时和服务端错误（RETRYABLE_STATUSES）以及网络错误按指数退避重试，优先使用 Retry-After 指定的等待时间，
+ *   Retry-After 超过最大等待时间时直接转移到下一个候选；密钥池中有多个密钥时，429 立即换用下一个密钥
+ * - 401 / 403 换用密钥池中的下一个密钥（不计入重试次数），全部失败后转移到下一个候选
+ * - 其他客户端错误（如 400）不重试，直接返回
+ * 只在收到响应状态之前重试，已经开始向客户端输出的流不会重试；流式请求的连接超时和非流式请求的请求超时按网络错误处理
+ * @param {Array} targets - 候选上游
+ * @param {Function} prepare - 准备上游请求的函数
+ * @param {AbortSignal} signal - 客户端断开连接时触发，不再重试
+ * @returns {Promise<object>} - { response, error, prepared, attempt }，attempt 为总尝试次数（从 1 开始）
+ */
+async function fetchWithFailover(targets, prepare, signal = null) {
+    let attempt = 0
+    let last = null
+    
+    for (let targetIndex = 0; targetIndex < targets.length; targetIndex++) {
+        const target = targets[targetIndex]
+        let prepared
+        try {
+            prepared = prepare(target)
+        } catch (error) {
+            // 请求无法转换为候选平台的格式（如不支持文档）时跳过该候选，主平台的转换错误直接返回给客户端
+            if (targetIndex === 0) throw error
+            console.error(`Skipping fallback '${target.platform}':`, error.message)
+            continue
+        }
+        
+        const policy = { ...DEFAULT_RETRY_POLICY, ...(prepared.config.retry || {}) }
+        const tokens = rotateTokens(target.platform, target.tokens)
+        
+        // 密钥的轮换与重试次数分开计数：401 / 403 换用密钥不占用重试次数，密钥池中的每个密钥都会被尝试
+        let retry = 0
+        let keyIndex = 0
+        while (retry <= policy.maxRetries) {
+            // 确定要请求下一个候选时才丢弃上一个候选的错误响应（后续候选都被跳过时仍需返回它）
+            if (retry === 0 && keyIndex === 0) {
+                await discardResponse(last?.response)
+            }
+            attempt++
+            const token = tokens[keyIndex % tokens.length]
+            last = { response: null, error: null, prepared: prepared, attempt: attempt }
+            try {
+                last.response = await fetchWithTimeout(prepared.url, {
+                    method: 'POST',
+                    headers: prepared.headers(token),
+                    body: prepared.body
+                }, prepared.stream ? prepared.timeouts.connectMs : prepared.timeouts.requestMs, signal)
+            } catch (error) {
+                last.error = error
+                if (signal?.aborted) return last
+            }
+            
+            const status = last.response?.status
+            if (last.response && last.response.ok) {
+                return last
+            }
+            const hasNextKey = keyIndex + 1 < tokens.length
+            if (status === 401 || status === 403) {
+                if (!hasNextKey) break
+                await discardResponse(last.response)
+                keyIndex++
+                continue
+            }
+            if (last.response && !RETRYABLE_STATUSES.includes(status)) {
+                return last
+            }
+            if (retry === policy.maxRetries) break
+            
+            // 限流时优先换用其他密钥，否则按 Retry-After 或指数退避等待
+            if (status === 429 && hasNextKey) {
+                keyIndex++
+            } else {
+                const retryAfter = last.response ? parseRetryAfter(last.response.headers) : null
+                if (retryAfter !== null && retryAfter > policy.maxDelayMs) break
+                const backoff = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** retry)
+                await sleep(retryAfter ?? backoff * (0.5 + Math.random() / 2))
+            }
+            await discardResponse(last.response)
+            retry++
+        }
+    }
+    
+    return last
+}
+
+/**
+ * 发送请求，超过指定时间没有收到响应头时中止
+ * 中止信号同时作用于响应内容，客户端断开连接时正在读取的流也会被取消
+ * @param {string} url - 请求地址
+ * @param {object} init - 请求选项
+ * @param {number|null} timeoutMs - 等待响应头的最长时间，为 null 时不限制
+ * @param {AbortSignal} signal - 外部的中止信号
+ * @returns {Promise<Response>} - 响应
+ */
+async function fetchWithTimeout(url, init, timeoutMs, signal = null) {
+    const controller = new AbortController()
+    signal?.addEventListener('abort', () => controller.abort())
+    let timedOut = false
+    const timer = timeoutMs ? setTimeout(() => {
+        timedOut = true
+        controller.abort()
+    }, timeoutMs) : null
+    
+    try {
+        return await fetch(url, { ...init, signal: controller.signal })
+    } catch (error) {
+        if (timedOut) {
+            throw new UpstreamTimeoutError(`Upstream did not respond within ${timeoutMs}ms`)
+        }
+        throw error
+    } finally {
+        clearTimeout(timer)
+    }
+}
+
+/**
+ * 按轮换位置重新排列密钥池，使请求均匀分布到各个密钥
+ * @param {string} platform - 平台名称
+ * @param {Array} tokens - 密钥池
+ * @returns {Array} - 从本次起始位置开始的密钥列表
+ */
+function rotateTokens(platform, tokens) {
+    if (tokens.length <= 1) return tokens
+    const start = (keyRotation[platform] || 0) % tokens.length
+    keyRotation[platform] = start + 1
+    return [...tokens.slice(start), ...tokens.slice(0, start)]
+}
+
+/**
+ * 解析上游响应的重试等待时间
+ * 支持 retry-after-ms（毫秒）和 Retry-After（秒数或 HTTP 日期）
+ * @param {Headers} headers - 响应头
+ * @returns {number|null} - 等待时间（毫秒），没有时返回 null
+ */
+function parseRetryAfter(headers) {
+    const retryAfterMs = Number(headers.get('retry-after-ms'))
+    if (retryAfterMs > 0) {
+        return retryAfterMs
+    }
+    const retryAfter = headers.get('retry-after')
+    if (!retryAfter) {
+        return null
+    }
+    const seconds = Number(retryAfter)
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000)
+    }
+    const date = Date.parse(retryAfter)
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+/**
+ * 丢弃不再使用的响应内容，释放连接
+ * @param {Response|null} response - 上游响应
+ */
+async function discardResponse(response) {
+    try {
+        await response?.body?.cancel()
+    } catch (e) {
+        // 忽略已经关闭的响应
+    }
+}
+
+/**
+ * 等待指定时间
+ * @param {number} ms - 毫秒
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * 处理上游的成功响应：格式相同时直接转发，否则转换为客户端格式
+ * 上游的流式模式与客户端不同时（平台配置了 streamMode），合并上游的流式响应，或由非流式响应合成流式响应
+ * @param {Response} response - 上游响应
+ * @param {object} prepared - 上游请求信息
+ * @param {string} clientFormat - 客户端格式
+ * @param {object} streamOptions - 流式输出选项
+ * @returns {Promise<Response>} - 返回给客户端的响应
+ */
+async function handleUpstreamResponse(response, prepared, clientFormat, streamOptions) {
+    // 上游流式、客户端非流式：合并为 OpenAI 格式的完整响应后再转换为客户端格式
+    if (prepared.stream && !prepared.clientStream) {
+        const aggregated = await aggregateStreamResponse(response, prepared)
+        if (aggregated.error) {
+            const { message, status, code } = aggregated.error
+            return createErrorResponse(`Platform API Error: ${message}`, status, clientFormat, code)
+        }
+        const convertedResponse = convertResponse(aggregated.response, 'openai', clientFormat, prepared.context)
+        return new Response(JSON.stringify(convertedResponse), {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            }
+        })
+    }
+    
+    // 上游非流式、客户端流式：将完整响应拆分为 OpenAI 流式数据块，再经过流式转换输出客户端格式
+    if (!prepared.stream && prepared.clientStream) {
+        const standardResponse = convertResponseToStandard(await response.json(), prepared.format, prepared.context)
+        const chunks = responseToStreamChunks(standardResponse, clientFormat, prepared.context.includeUsage)
+        const sseText = chunks.map(chunk => serializeSSEEvent(typeof chunk === 'string' ? chunk : JSON.stringify(chunk))).join('')
+        return await handleStreamResponse(new Response(sseText), 'openai', clientFormat, {
+            ...streamOptions,
+            // 结构化输出已在转换为标准格式时还原
+            context: { ...prepared.context, structuredOutput: undefined },
+            timeouts: prepared.timeouts,
+            passthrough: clientFormat === 'openai'
+        })
+    }
+    
+    // 流式响应（包括格式相同时）统一经过流式处理，以便发送保活事件、检测空闲超时和转换分帧
+    if (prepared.stream) {
+        return await handleStreamResponse(response, prepared.format, clientFormat, {
+            ...streamOptions,
+            context: prepared.context,
+            timeouts: prepared.timeouts,
+            passthrough: prepared.direct
+        })
+    }
+    
+    if (prepared.direct) {
+        const responseData = await response.json()
+        
+        return new Response(JSON.stringify(responseData), {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            }
+        })
+    }
+    
+    // 转换响应格式
+    const responseData = await response.json()
+    const convertedResponse = convertResponse(responseData, prepared.format, clientFormat, prepared.context)
+    
+    return new Response(JSON.stringify(convertedResponse), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+        }
+    })
+}
+
+/**
+ * 读取上游的完整流式响应，合并为 OpenAI 格式（标准格式）的非流式响应
+ * 数据块先经过 streamChunkToStandardFormat 转换，再按 choice 累积文本、推理内容、图片和工具调用（按索引拼接参数）
+ * @param {Response} response - 上游流式响应
+ * @param {object} prepared - 上游请求信息
+ * @returns {Promise<object>} - { response }，上游在流中返回错误时为 { error: { message, status, code } }
+ */
+async function aggregateStreamResponse(response, prepared) {
+    const reader = response.body.getReader()
+    const decoder = new TextDecoder()
+    const parser = createSSEParser()
+    const state = createStreamState({ context: prepared.context })
+    const choices = {}
+    let usage = null
+    
+    const addChunk = chunk => {
+        const standard = streamChunkToStandardFormat(chunk, prepared.format, state)
+        if (standard.usage) {
+            usage = standard.usage
+        }
+        for (const { index = 0, delta = {}, finish_reason, stop_sequence } of standard.choices || []) {
+            const choice = choices[index] = choices[index] || { index, message: { role: 'assistant', content: '' }, finish_reason: null }
+            const message = choice.message
+            if (delta.content) {
+                message.content += delta.content
+            }
+            if (delta.reasoning_content) {
+                message.reasoning_content = (message.reasoning_content || '') + delta.reasoning_content
+            }
+            if (delta.reasoning_signature) {
+                message.reasoning_signature = delta.reasoning_signature
+            }
+            if (delta.images) {
+                message.images = [...(message.images || []), ...delta.images]
+            }
+            for (const toolCall of delta.tool_calls || []) {
+                message.tool_calls = message.tool_calls || []
+                const toolIndex = toolCall.index ?? message.tool_calls.length
+                const existing = message.tool_calls[toolIndex] || { id: '', type: 'function', function: { name: '', arguments: '' } }
+                existing.id = toolCall.id || existing.id
+                existing.function.name = toolCall.function?.name || existing.function.name
+                existing.function.arguments += toolCall.function?.arguments || ''
+                message.tool_calls[toolIndex] = existing
+            }
+            if (finish_reason) {
+                choice.finish_reason = finish_reason
+                choice.stop_sequence = stop_sequence
+            }
+        }
+    }
+    
+    const addEvent = event => {
+        const dataStr = event.data.trim()
+        if (dataStr === '[DONE]' || dataStr === '') {
+            return null
+        }
+        let data
+        try {
+            data = JSON.parse(dataStr)
+        } catch (parseError) {
+            console.error('Invalid stream event data:', dataStr)
+            return null
+        }
+        const upstreamError = parseUpstreamError(data)
+        if (upstreamError) {
+            return upstreamError
+        }
+        addChunk(data)
+        return null
+    }
+    
+    try {
+        while (true) {
+            const { done, value } = await readWithTimeout(reader, prepared.timeouts.idleMs)
+            const events = done ? parser.feed(decoder.decode(), true) : parser.feed(decoder.decode(value, { stream: true }))
+            for (const event of events) {
+                const error = addEvent(event)
+                if (error) {
+                    return { error }
+                }
+            }
+            if (done) break
+        }
+    } finally {
+        reader.cancel().catch(() => {})
+    }
+    
+    return {
+        response: {
+            id: state.id || 'chatcmpl-' + crypto.randomUUID().replace(/-/g, ''),
+            object: 'chat.completion',
+            created: state.created,
+            model: state.model || prepared.model,
+            choices: Object.values(choices).sort((a, b) => a.index - b.index).map(choice => {
+                const message = { ...choice.message }
+                if (message.tool_calls) {
+                    // Gemini 等一次返回完整调用的格式可能跳过索引，去掉空位
+                    message.tool_calls = message.tool_calls.filter(Boolean)
+                    message.content = message.content || null
+                }
+                return { ...choice, message, finish_reason: choice.finish_reason || 'stop' }
+            }),
+            usage: usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+        }
+    }
+}
+
+/**
+ * 将标准格式的非流式响应拆分为 OpenAI 流式数据块，用于向流式客户端合成流式响应
+ * 每个 choice 输出一个包含完整内容的增量数据块和一个结束数据块，最后是 [DONE]
+ * @param {object} standard - 标准格式响应
+ * @param {string} clientFormat - 客户端格式
+ * @param {boolean} includeUsage - OpenAI 客户端是否要求在流的最后返回用量
+ * @returns {Array} - OpenAI 流式数据块列表
+ */
+function responseToStreamChunks(standard, clientFormat, includeUsage) {
+    const base = {
+        id: standard.id,
+        object: 'chat.completion.chunk',
+        created: standard.created || Math.floor(Date.now() / 1000),
+        model: standard.model
+    }
+    // 数据块原样输出给 OpenAI 客户端，只有 Claude 客户端需要思考签名
+    const keepSignature = clientFormat === 'anthropic'
+    const chunks = []
+    
+    for (const [i, choice] of standard.choices.entries()) {
+        const index = choice.index ?? i
+        const { content, reasoning_content, reasoning_signature, images, tool_calls } = choice.message || {}
+        const delta = { role: 'assistant' }
+        if (reasoning_content) {
+            delta.reasoning_content = reasoning_content
+        }
+        if (reasoning_signature && keepSignature) {
+            delta.reasoning_signature = reasoning_signature
+        }
+        delta.content = content || ''
+        if (images?.length > 0) {
+            delta.images = images
+        }
+        if (tool_calls?.length > 0) {
+            delta.tool_calls = tool_calls.map((toolCall, toolIndex) => ({ index: toolIndex, ...toolCall }))
+        }
+        // 其他格式的客户端由流式转换输出用量（Claude 的 message_start 需要输入用量，因此放在第一个数据块中）
+        chunks.push({
+            ...base,
+            choices: [{ index, delta, finish_reason: null }],
+            ...(clientFormat !== 'openai' && i === 0 ? { usage: standard.usage } : {})
+        })
+        const finishChoice = { index, delta: {}, finish_reason: choice.finish_reason || 'stop' }
+        if (choice.stop_sequence !== undefined && clientFormat !== 'openai') {
+            finishChoice.stop_sequence = choice.stop_sequence
+        }
+        chunks.push({ ...base, choices: [finishChoice] })
+    }
+    
+    // 与 OpenAI 相同，用量以 choices 为空的数据块在 [DONE] 之前输出
+    if (standard.usage && clientFormat === 'openai' && includeUsage) {
+        chunks.push({ ...base, choices: [], usage: standard.usage })
+    }
+    chunks.push('[DONE]')
+    return chunks
+}
+
+/**
+ * 为响应添加响应头（并允许浏览器客户端读取）
+ * @param {Response} response - 响应
+ * @param {object} headers - 要添加的响应头
+ * @returns {Response} - 添加响应头后的响应
+ */
+function withResponseHeaders(response, headers) {
+    if (Object.keys(headers).length === 0) {
+        return response
+    }
+    for (const [key, value] of Object.entries(headers)) {
+        response.headers.set(key, value)
+    }
+    const exposed = [response.headers.get('Access-Control-Expose-Headers'), ...Object.keys(headers)].filter(Boolean)
+    response.headers.set('Access-Control-Expose-Headers', exposed.join(', '))
+    return response
+}
+
+/**
+ * 处理模型列表请求（GET /{platform}/{client_format}/v1/models 或 /v1beta/models）
+ * 获取平台的模型列表（平台配置了 models 时直接使用配置），加上 modelMappings 中的模型别名，按客户端格式返回
+ * @param {Request} request - 客户端请求
+ * @param {string} platform - 平台名称
+ * @param {string} clientFormat - 客户端格式
+ * @param {object} platforms - 平台配置
+ * @returns {Promise<Response>} - 客户端格式的模型列表
+ */
+async function handleModelsRequest(request, platform, clientFormat, platforms) {
+    if (!['openai', 'anthropic', 'gemini'].includes(clientFormat)) {
+        return createErrorResponse(`Unsupported client format: ${clientFormat}`, 400, 'openai')
+    }
+    if (platform !== AUTO_PLATFORM && !platforms[platform]) {
+        return createErrorResponse(`Unsupported platform: ${platform}`, 400, clientFormat)
+    }
+    
+    // auto 平台不请求上游，不检查平台权限；模型列表按网关密钥的模型权限过滤
+    const auth = await authenticateRequest(request, platform === AUTO_PLATFORM ? null : platform, clientFormat, null)
+    if (auth.error) {
+        return createErrorResponse(auth.error, auth.status, clientFormat)
+    }
+    
+    let models
+    if (platform === AUTO_PLATFORM) {
+        models = await getRouterModels()
+    } else {
+        const config = platforms[platform]
+        models = getModelAliases(config, platform)
+        if (config.models) {
+            models.push(...config.models.map(model => typeof model === 'string' ? { id: model } : model))
+        } else {
+            const upstream = await fetchPlatformModels(config, getUpstreamTokens(platform, auth, true)[0])
+            if (upstream.response) {
+                return await createUpstreamErrorResponse(upstream.response, clientFormat)
+            }
+            models.push(...upstream.models)
+        }
+    }
+    
+    // 去重（别名优先），并按网关密钥的模型权限过滤
+    const seen = new Set()
+    models = models.filter(model => {
+        if (seen.has(model.id)) return false
+        seen.add(model.id)
+        return !auth.keyConfig?.models || matchesModelPatterns(auth.keyConfig.models, model.id)
+    })
+    
+    return new Response(JSON.stringify(formatModelList(models, clientFormat, platform)), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+        }
+    })
+}
+
+/**
+ * 获取平台 modelMappings 中的模型别名（只包括完整模型名，不包括通配符和正则规则）
+ * @param {object} config - 平台配置
+ * @param {string} platform - 平台名称
+ * @returns {Array} - 标准格式的模型列表
+ */
+function getModelAliases(config, platform) {
+    return Object.entries(config.modelMappings || {})
+        .filter(([alias]) => !modelPatternToRegExp(alias))
+        .map(([alias, target]) => ({ id: alias, display_name: `${alias} (${target})`, owned_by: platform }))
+}
+
+/**
+ * 获取 auto 平台的模型列表：路由规则中完整的模型名条件和规则的目标模型
+ * @returns {Promise<Array>} - 标准格式的模型列表
+ */
+async function getRouterModels() {
+    const router = await loadRouterConfig()
+    if (!router) {
+        return []
+    }
+    const rules = [...(router.rules || []), ...(router.default ? [router.default] : [])]
+    const names = rules.flatMap(rule => [
+        ...[].concat(rule.when?.model || []).filter(pattern => !modelPatternToRegExp(pattern)),
+        ...(rule.model ? [rule.model] : [])
+    ])
+    return names.map(name => ({ id: name, owned_by: AUTO_PLATFORM }))
+}
+
+/**
+ * 请求平台的模型列表接口并转换为标准格式
+ * 平台没有模型列表接口（404 / 405）时使用默认模型，其他错误响应原样返回
+ * @param {object} config - 平台配置
+ * @param {string} token - 上游密钥
+ * @returns {Promise<object>} - { models }，或 { response }（上游错误响应）
+ */
+async function fetchPlatformModels(config, token) {
+    const endpoint = config.modelsEndpoint || {
+        openai: config.endpoint.replace(/\/chat\/completions$/, '/models'),
+        anthropic: '/v1/models?limit=1000',
+        gemini: '/v1beta/models?pageSize=1000'
+    }[config.format]
+    
+    const response = await fetch(`${config.baseUrl}${endpoint}`, {
+        method: 'GET',
+        headers: buildTargetHeaders(config, token || '', config.format)
+    })
+    if (response.status === 404 || response.status === 405) {
+        return { models: config.defaultModel ? [{ id: config.defaultModel }] : [] }
+    }
+    if (!response.ok) {
+        return { response: response }
+    }
+    
+    const data = await response.json()
+    switch (config.format) {
+        case 'anthropic':
+            return {
+                models: (data.data || []).map(model => ({
+                    id: model.id,
+                    display_name: model.display_name,
+                    created: model.created_at ? Math.floor(Date.parse(model.created_at) / 1000) : undefined,
+                    owned_by: 'anthropic'
+                }))
+            }
+        case 'gemini':
+            return {
+                models: (data.models || [])
+                    .filter(model => !model.supportedGenerationMethods || model.supportedGenerationMethods.includes('generateContent'))
+                    .map(model => ({
+                        id: model.name.replace(/^models\//, ''),
+                        display_name: model.displayName,
+                        description: model.description,
+                        input_token_limit: model.inputTokenLimit,
+                        output_token_limit: model.outputTokenLimit,
+                        owned_by: 'google'
+                    }))
+            }
+        default:
+            return {
+                models: (data.data || []).map(model => ({
+                    id: model.id,
+                    // OpenRouter 提供 name 和 context_length，Groq 提供 context_window
+                    display_name: model.name,
+                    created: model.created,
+                    owned_by: model.owned_by,
+                    input_token_limit: model.context_length || model.context_window
+                }))
+            }
+    }
+}
+
+/**
+ * 将标准格式的模型列表转换为客户端格式
+ * @param {Array} models - 标准格式的模型列表 [{ id, display_name, description, created, owned_by, input_token_limit, output_token_limit }]
+ * @param {string} clientFormat - 客户端格式
+ * @param {string} platform - 平台名称（模型没有 owned_by 时使用）
+ * @returns {object} - 客户端格式的模型列表
+ */
+function formatModelList(models, clientFormat, platform) {
+    switch (clientFormat) {
+        case 'anthropic':
+            return {
+                data: models.map(model => ({
+                    type: 'model',
+                    id: model.id,
+                    display_name: model.display_name || model.id,
+                    created_at: new Date((model.created || 0) * 1000).toISOString()
+                })),
+                has_more: false,
+                first_id: models.length > 0 ? models[0].id : null,
+                last_id: models.length > 0 ? models[models.length - 1].id : null
+            }
+        case 'gemini':
+            return {
+                models: models.map(model => ({
+                    // 模型名中的 / 需要编码，以便客户端直接用于 models/{model}:generateContent 路径
+                    name: `models/${encodeURIComponent(model.id)}`,
+                    displayName: model.display_name || model.id,
+                    description: model.description,
+                    inputTokenLimit: model.input_token_limit,
+                    outputTokenLimit: model.output_token_limit,
+                    supportedGenerationMethods: ['generateContent', 'streamGenerateContent']
+                }))
+            }
+        default:
+            return {
+                object: 'list',
+                data: models.map(model => ({
+                    id: model.id,
+                    object: 'model',
+                    created: model.created || 0,
+                    owned_by: model.owned_by || platform
+                }))
+            }
+    }
+}
+
+// 计算 token 数的 API 路径（Gemini 使用 models/{model}:countTokens，见 parseGeminiApiPath）
+const COUNT_TOKENS_PATHS = ['/v1/messages/count_tokens', '/v1/chat/completions/count_tokens']
+
+/**
+ * 处理计算 token 数的请求
+ * 上游为 Claude（/v1/messages/count_tokens）或 Gemini（:countTokens）格式时使用平台的原生接口，
+ * 否则（或平台没有该接口时）在本地估算，见 estimatePromptTokens
+ * @param {object} requestBody - 客户端请求体
+ * @param {string} platform - 平台名称
+ * @param {string} clientFormat - 客户端格式
+ * @param {Request} request - 客户端请求
+ * @param {object} auth - 认证结果
+ * @returns {Promise<Response>} - 客户端格式的 token 数
+ */
+async function handleCountTokens(requestBody, platform, clientFormat, request, auth) {
+    const config = getPlatformConfig(platform)
+    const token = getUpstreamTokens(platform, auth, true)[0]
+    let inputTokens = null
+    
+    if (token && (config.format === 'anthropic' || config.format === 'gemini')) {
+        const upstream = await countTokensUpstream(config, platform, token, requestBody, clientFormat, request)
+        if (upstream.response) {
+            return await createUpstreamErrorResponse(upstream.response, clientFormat)
+        }
+        inputTokens = upstream.tokens
+    }
+    const source = inputTokens === null ? 'estimate' : 'upstream'
+    if (inputTokens === null) {
+        inputTokens = estimatePromptTokens(toStandardFormat(requestBody, clientFormat))
+    }
+    
+    let responseData
+    switch (clientFormat) {
+        case 'anthropic':
+            responseData = { input_tokens: inputTokens }
+            break
+        case 'gemini':
+            responseData = { totalTokens: inputTokens }
+            break
+        default:
+            // 与 OpenAI Responses API 的 /v1/responses/input_tokens 相同的结构
+            responseData = { object: 'response.input_tokens', input_tokens: inputTokens }
+    }
+    
+    return new Response(JSON.stringify(responseData), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'X-Token-Count-Source': source,
+            'Access-Control-Expose-Headers': 'X-Token-Count-Source'
+        }
+    })
+}
+
+/**
+ * 使用平台的原生接口计算 token 数
+ * @param {object} config - 平台配置
+ * @param {string} platform - 平台名称
+ * @param {string} token - 上游密钥
+ * @param {object} requestBody - 客户端请求体
+ * @param {string} clientFormat - 客户端格式
+ * @param {Request} request - 客户端请求
+ * @returns {Promise<object>} - { tokens }（平台没有该接口时为 null），或 { response }（上游错误响应）
+ */
+async function countTokensUpstream(config, platform, token, requestBody, clientFormat, request) {
+    const body = config.format === clientFormat
+        ? requestBody
+        : applyModelMapping(convertRequest(requestBody, clientFormat, config.format, request, platform), platform)
+    
+    let url
+    let payload
+    if (config.format === 'anthropic') {
+        url = `${config.baseUrl}/v1/messages/count_tokens`
+        // count_tokens 不接受 max_tokens、stream 等生成参数
+        payload = {}
+        for (const field of ['model', 'messages', 'system', 'tools', 'tool_choice', 'thinking']) {
+            if (body[field] !== undefined) payload[field] = body[field]
+        }
+        payload.messages = removeUnsignedThinking(payload.messages)
+    } else {
+        url = buildTargetUrl(config, body.model, 'gemini').replace(':generateContent', ':countTokens')
+        const { model, stream, ...generateContentRequest } = body
+        payload = { generateContentRequest: { model: `models/${model || config.defaultModel}`, ...generateContentRequest } }
+    }
+    
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: buildTargetHeaders(config, token, config.format, request),
+        body: JSON.stringify(payload)
+    })
+    if (response.status === 404 || response.status === 405) {
+        return { tokens: null }
+    }
+    if (!response.ok) {
+        return { response: response }
+    }
+    const data = await response.json()
+    return { tokens: config.format === 'anthropic' ? data.input_tokens : data.totalTokens }
+}
+
+/**
+ * 解析 Gemini 原生 REST 路径
+ * 支持 /v1beta/models/{model}:generateContent、/v1beta/models/{model}:streamGenerateContent 和 /v1beta/models/{model}:countTokens
+ * @param {string} apiPath - 平台和客户端格式之后的 API 路径
+ * @param {URL} url - 请求 URL
+ * @returns {object|null} - 解析结果 { model, stream, sse, countTokens }，不是 Gemini 原生路径时返回 null
+ */
+function parseGeminiApiPath(apiPath, url) {
+    const match = apiPath.match(/^\/(?:v1beta|v1)\/models\/([^/:]+):(generateContent|streamGenerateContent|countTokens)$/)
+    if (!match) {
+        return null
+    }
+    
+    return {
+        model: decodeURIComponent(match[1]),
+        stream: match[2] === 'streamGenerateContent',
+        sse: url.searchParams.get('alt') === 'sse',
+        countTokens: match[2] === 'countTokens'
+    }
+}
+
+/**
+ * 应用模型映射（如果平台支持）
+ * @param {object} request - 请求对象
+ * @param {string} platform - 目标平台
+ * @returns {object} - 应用映射后的请求
+ */
+function applyModelMapping(request, platform) {
+    const mappedRequest = { ...request }
+    
+    // 获取平台的配置
+    const platformConfig = getPlatformConfig(platform)
+    
+    // 只有当平台有模型映射配置且请求中有模型时才应用映射
+    const mappedModel = resolveModelMapping(platformConfig?.modelMappings, request.model)
+    if (mappedModel) {
+        mappedRequest.model = mappedModel
+    }
+    
+    return mappedRequest
+}
+
+// 网关密钥配置的缓存（与平台配置使用相同的缓存时间）
+let gatewayKeysCache = { keys: null, loadedAt: 0 }
+
+/**
+ * 加载网关密钥配置
+ * 来自环境变量 GATEWAY_KEYS（JSON 字符串）和 KV 命名空间 CONFIG_KV 中的 gateway_keys 键，KV 中的同名密钥覆盖环境变量
+ * 格式为 { 密钥或 "sha256:<十六进制摘要>": { name, platforms, formats, models, credentials, revoked } }
+ * @returns {Promise<object|null>} - 网关密钥配置，未配置时返回 null
+ */
+async function loadGatewayKeys() {
+    if (Date.now() - gatewayKeysCache.loadedAt < PLATFORM_CONFIG_TTL) {
+        return gatewayKeysCache.keys
+    }
+    
+    const configs = await readJsonConfigs('GATEWAY_KEYS', 'gateway_keys')
+    const keys = configs.length > 0 ? Object.assign({}, ...configs) : null
+    gatewayKeysCache = { keys: keys, loadedAt: Date.now() }
+    return keys
+}
+
+/**
+ * 计算字符串的 SHA-256 十六进制摘要
+ * @param {string} text - 原始字符串
+ * @returns {Promise<string>} - 十六进制摘要
+ */
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * 认证客户端
+ * - 未配置网关密钥：透传客户端令牌（原有行为）
+ * - 配置了网关密钥：客户端令牌必须是有效的网关密钥，按其权限检查平台、客户端格式和模型，
+ *   上游密钥从 Worker secret 中读取（见 getUpstreamTokens）；设置 ALLOW_PASSTHROUGH = "true" 时，不是网关密钥的令牌仍然透传
+ * @param {Request} request - 客户端请求
+ * @param {string} platform - 目标平台（为 null 时不检查平台权限）
+ * @param {string} clientFormat - 客户端格式
+ * @param {string} model - 请求的模型（为 null 时不检查模型权限，如模型列表）
+ * @returns {Promise<object>} - { keyConfig }（网关密钥）、{ token }（透传）或 { error, status }
+ */
+async function authenticateRequest(request, platform, clientFormat, model) {
+    const gatewayKeys = await loadGatewayKeys()
+    const passthroughAllowed = !gatewayKeys || String(globalThis.ALLOW_PASSTHROUGH) === 'true'
+    
+    // 网关密钥不接受 URL 参数中的密钥，避免密钥出现在访问日志中（允许透传时 URL 参数只能用于透传的令牌）
+    const headerToken = extractAuthToken(request, { allowQueryKey: false })
+    const token = headerToken || (passthroughAllowed ? extractAuthToken(request) : null)
+    if (!token) {
+        return { error: 'Missing authentication token', status: 401 }
+    }
+    if (!gatewayKeys) {
+        return { token: token }
+    }
+    
+    // 只查找自身的键，避免 constructor、__proto__ 等继承的属性名被当作有效密钥
+    const lookupKey = key => Object.prototype.hasOwnProperty.call(gatewayKeys, key) ? gatewayKeys[key] : null
+    const keyConfig = lookupKey(token) || lookupKey(`sha256:${await sha256Hex(token)}`)
+    if (!keyConfig) {
+        return passthroughAllowed
+            ? { token: token }
+            : { error: 'Invalid API key', status: 401 }
+    }
+    if (token !== headerToken) {
+        return { error: 'Gateway keys must be sent in a request header, not in the URL', status: 401 }
+    }
+    if (keyConfig.revoked) {
+        return { error: 'API key has been revoked', status: 401 }
+    }
+    if (platform !== null && keyConfig.platforms && !keyConfig.platforms.includes(platform)) {
+        return { error: `API key is not allowed to use platform '${platform}'`, status: 403 }
+    }
+    if (keyConfig.formats && !keyConfig.formats.includes(clientFormat)) {
+        return { error: `API key is not allowed to use client format '${clientFormat}'`, status: 403 }
+    }
+    if (model !== null && keyConfig.models && !matchesModelPatterns(keyConfig.models, model)) {
+        return { error: `API key is not allowed to use model '${model || ''}'`, status: 403 }
+    }
+    
+    return { keyConfig: keyConfig }
+}
+
+/**
+ * 获取发往上游平台的密钥池
+ * 网关密钥使用 Worker secret 中保存的上游密钥，默认名称为 <平台名大写>_API_KEY（如 OPENROUTER_API_KEY），
+ * secret 中可以用逗号或换行分隔多个密钥组成密钥池；透传模式只能使用客户端令牌访问主平台
+ * @param {string} platform - 平台名称
+ * @param {object} auth - 认证结果（authenticateRequest 的返回值）
+ * @param {boolean} isPrimary - 是否为客户端请求的主平台
+ * @returns {Array} - 密钥列表，没有可用密钥时为空
+ */
+function getUpstreamTokens(platform, auth, isPrimary) {
+    if (!auth.keyConfig) {
+        return isPrimary ? [auth.token] : []
+    }
+    const secretName = auth.keyConfig.credentials?.[platform] || `${platform.toUpperCase()}_API_KEY`
+    const tokens = String(globalThis[secretName] || '').split(/[,\s]+/).filter(Boolean)
+    if (tokens.length === 0) {
+        console.error(`Upstream credential secret '${secretName}' is not configured`)
+    }
+    return tokens
+}
+
+/**
+ * 提取认证令牌
+ * @param {Request} request - 请求对象
+ * @param {object} options - 选项（allowQueryKey: 是否接受 URL 参数 key）
+ * @returns {string|null} - 认证令牌
+ */
+function extractAuthToken(request, options = {}) {
+    // 尝试多种认证方式
+    const authHeader = request.headers.get('Authorization')
+    const apiKey = request.headers.get('x-api-key')
+    const googApiKey = request.headers.get('x-goog-api-key')
+    const urlKey = options.allowQueryKey !== false ? new URL(request.url).searchParams.get('key') : null
+    
+    if (authHeader) {
+        // 移除Bearer前缀（如果存在）
         return authHeader.startsWith('Bearer ') ? authHeader.substring(7) : authHeader
     }
-    
-    if (apiKey) {
-        return apiKey
+    
+    if (apiKey) {
+        return apiKey
+    }
+    
+    if (googApiKey) {
+        return googApiKey
+    }
+    
+    if (urlKey) {
+        return urlKey
+    }
+    
+    return null
+}
+
+/**
+ * 构建目标API的URL
+ * @param {object} config - API配置
+ * @param {string} model - 模型名称
+ * @param {string} format - API格式
+ * @param {boolean} stream - 是否为流式请求
+ * @returns {string} - 目标URL
+ * @throws {ConversionError} - Gemini 格式的请求和平台配置都没有模型
+ */
+function buildTargetUrl(config, model, format, stream = false) {
+    if (format === 'gemini') {
+        // 对于 Gemini，需要从模型名称中提取实际的模型标识
+        const modelName = model || config.defaultModel
+        if (!modelName) {
+            throw new ConversionError('model is required')
+        }
+        const actualModel = modelName.includes('/') ? modelName.split('/')[1] : modelName
+        // Gemini 的流式请求使用单独的 streamGenerateContent 端点
+        const endpoint = stream && config.streamEndpoint ? config.streamEndpoint : config.endpoint
+        return `${config.baseUrl}${endpoint.replace('{model}', actualModel)}`
+    }
+    return `${config.baseUrl}${config.endpoint}`
+}
+
+/**
+ * 构建发送到目标平台的请求体
+ * Gemini 的模型和流式模式体现在 URL 中，请求体中不能包含 model 和 stream 字段
+ * @param {object} request - 请求对象
+ * @param {string} format - API格式
+ * @returns {object} - 请求体
+ */
+function buildTargetBody(request, format) {
+    if (format === 'gemini') {
+        const { model, stream, ...body } = request
+        return body
+    }
+    return request
+}
+
+/**
+ * 构建目标API的请求头
+ * @param {object} config - API配置
+ * @param {string} token - 认证令牌
+ * @param {string} format - API格式
+ * @param {Request} originalRequest - 原始请求对象，用于获取额外的请求头
+ * @returns {object} - 请求头
+ */
+function buildTargetHeaders(config, token, format, originalRequest = null) {
+    const headers = {}
+    
+    for (const [key, value] of Object.entries(config.headers)) {
+        if (value === '{token}') {
+            // 检查是否是 Authorization 头，如果是则添加 Bearer 前缀
+            if (key === 'Authorization') {
+                headers[key] = `Bearer ${token}`
+            } else {
+                headers[key] = token
+            }
+        } else if (value.includes('{token}')) {
+            // 替换 {token} 占位符
+            headers[key] = value.replace('{token}', token)
+        } else {
+            headers[key] = value
+        }
+    }
+    
+    // 对于 Anthropic 格式，添加额外的请求头支持
+    if (format === 'anthropic' && originalRequest) {
+        const anthropicBeta = originalRequest.headers.get('anthropic-beta')
+        if (anthropicBeta) {
+            headers['anthropic-beta'] = anthropicBeta
+        }
+        
+        const cacheControl = originalRequest.headers.get('cache-control')
+        if (cacheControl) {
+            headers['cache-control'] = cacheControl
+        }
+    }
+    
+    return headers
+}
+
+/**
+ * 转换请求格式
+ * @param {object} requestBody - 原始请求体
+ * @param {string} sourceFormat - 源格式
+ * @param {string} targetFormat - 目标格式
+ * @param {Request} originalRequest - 原始请求对象
+ * @param {string} platform - 目标平台
+ * @param {object} context - 请求上下文，记录响应转换需要的信息（如结构化输出）
+ * @returns {object} - 转换后的请求体
+ */
+function convertRequest(requestBody, sourceFormat, targetFormat, originalRequest = null, platform = null, context = {}) {
+    // 首先统一转换为标准格式，并按目标格式规范化对话
+    const standardRequest = normalizeConversation(toStandardFormat(requestBody, sourceFormat), targetFormat)
+    context.responseFormat = standardRequest.response_format
+    // OpenAI 客户端只有设置了 stream_options.include_usage 才会在流的最后收到用量
+    context.includeUsage = Boolean(requestBody.stream_options?.include_usage)
+    
+    // 然后从标准格式转换为目标格式
+    return fromStandardFormat(standardRequest, targetFormat, originalRequest, platform, context)
+}
+
+// 对话需要补充用户轮次时使用的占位文本（Claude 和 Gemini 要求对话以用户消息开始）
+const EMPTY_TURN_PLACEHOLDER = '...'
+
+/**
+ * 按目标格式规范化标准格式对话
+ * - Claude / Gemini：合并所有系统消息到 system，合并相邻的同角色消息，去掉空消息，保证第一条消息来自用户
+ * - OpenAI：将 Claude / Gemini 的系统提示作为第一条系统消息
+ * @param {object} standard - 标准格式请求
+ * @param {string} targetFormat - 目标格式
+ * @returns {object} - 规范化后的标准格式请求
+ */
+function normalizeConversation(standard, targetFormat) {
+    const normalized = { ...standard, messages: [...(standard.messages || [])] }
+    
+    if (targetFormat !== 'anthropic' && targetFormat !== 'gemini') {
+        // OpenAI 格式允许任意位置的系统消息，只需放入单独传入的系统提示
+        const systemParts = toSystemParts(standard.system)
+        delete normalized.system
+        if (systemParts.length > 0) {
+            normalized.messages.unshift({ role: 'system', content: standardSystemToContent(systemParts) })
+        }
+        return normalized
+    }
+    
+    // 系统提示（包括对话中间的系统消息、OpenAI 的 developer 消息）统一放入 system
+    const systemParts = toSystemParts(standard.system)
+    const messages = []
+    for (const message of normalized.messages) {
+        if (message.role === 'system' || message.role === 'developer') {
+            systemParts.push(...toSystemParts(message.content))
+            continue
+        }
+        if (isEmptyMessage(message)) {
+            continue
+        }
+        const last = messages[messages.length - 1]
+        if (last && last.role === message.role && (message.role === 'user' || message.role === 'assistant')) {
+            messages[messages.length - 1] = mergeMessages(last, message)
+            continue
+        }
+        messages.push(message)
+    }
+    
+    if (messages.length === 0 || messages[0].role !== 'user') {
+        messages.unshift({ role: 'user', content: EMPTY_TURN_PLACEHOLDER })
+    }
+    
+    normalized.messages = messages
+    normalized.system = systemParts.length > 0 ? systemParts : undefined
+    return normalized
+}
+
+/**
+ * 将系统提示转换为文本内容部分数组（保留 cache_control）
+ * @param {string|Array} system - 字符串或内容块数组形式的系统提示
+ * @returns {Array} - [{ type: 'text', text, cache_control? }]
+ */
+function toSystemParts(system) {
+    if (!system) return []
+    if (typeof system === 'string') {
+        return system.trim() ? [{ type: 'text', text: system }] : []
+    }
+    return system
+        .filter(part => (part.type === 'text' || part.type === undefined) && part.text && part.text.trim())
+        .map(part => part.cache_control
+            ? { type: 'text', text: part.text, cache_control: part.cache_control }
+            : { type: 'text', text: part.text })
+}
+
+/**
+ * 将系统提示内容部分转换为消息内容，不包含 cache_control 时合并为字符串
+ * @param {Array} systemParts - 系统提示内容部分
+ * @returns {string|Array} - 消息内容
+ */
+function standardSystemToContent(systemParts) {
+    return systemParts.some(part => part.cache_control)
+        ? systemParts
+        : systemParts.map(part => part.text).join('\n\n')
+}
+
+/**
+ * 判断消息是否没有任何有效内容
+ * @param {object} message - 标准格式消息
+ * @returns {boolean} - 是否为空消息
+ */
+function isEmptyMessage(message) {
+    if (message.role === 'tool') return false
+    if (message.tool_calls && message.tool_calls.length > 0) return false
+    if (message.reasoning_signature || (message.redacted_reasoning && message.redacted_reasoning.length > 0)) return false
+    if (message.images && message.images.length > 0) return false
+    const content = message.content
+    if (typeof content === 'string') return content.trim() === ''
+    if (Array.isArray(content)) {
+        return content.every(part => part.type === 'text' && (!part.text || part.text.trim() === ''))
+    }
+    return true
+}
+
+/**
+ * 合并两条相邻的同角色消息
+ * @param {object} first - 前一条消息
+ * @param {object} second - 后一条消息
+ * @returns {object} - 合并后的消息
+ */
+function mergeMessages(first, second) {
+    const merged = { ...second, ...first }
+    // 前一条消息的缓存断点设置在它自己的最后一个内容块上，合并后断点位置不变
+    const firstContent = first.cache_control ? withCacheControl(first.content, first.cache_control) : first.content
+    if (typeof firstContent === 'string' && typeof second.content === 'string') {
+        merged.content = [firstContent, second.content].filter(text => text.trim()).join('\n\n')
+    } else {
+        merged.content = [...toContentParts(firstContent), ...toContentParts(second.content)]
+    }
+    if (first.tool_calls || second.tool_calls) {
+        merged.tool_calls = [...(first.tool_calls || []), ...(second.tool_calls || [])]
+    }
+    if (first.images || second.images) {
+        merged.images = [...(first.images || []), ...(second.images || [])]
+    }
+    // 推理内容按顺序拼接；签名只对应原来的推理内容，两条消息都有推理内容时拼接后的内容没有有效的签名
+    if (first.reasoning_content || second.reasoning_content) {
+        merged.reasoning_content = [first.reasoning_content, second.reasoning_content].filter(Boolean).join('\n\n')
+    }
+    delete merged.reasoning_signature
+    if (!(first.reasoning_content && second.reasoning_content) && (second.reasoning_signature || first.reasoning_signature)) {
+        merged.reasoning_signature = second.reasoning_signature || first.reasoning_signature
+    }
+    if (first.redacted_reasoning || second.redacted_reasoning) {
+        merged.redacted_reasoning = [...(first.redacted_reasoning || []), ...(second.redacted_reasoning || [])]
+    }
+    // 合并后消息末尾的断点来自后一条消息（前一条消息没有内容可以设置断点时保留在消息上）
+    if (second.cache_control || firstContent !== first.content) {
+        merged.cache_control = second.cache_control
+    }
+    if (merged.cache_control === undefined) {
+        delete merged.cache_control
+    }
+    return merged
+}
+
+/**
+ * 将消息内容转换为内容部分数组
+ * @param {string|Array} content - 消息内容
+ * @returns {Array} - 内容部分数组
+ */
+function toContentParts(content) {
+    if (Array.isArray(content)) return content
+    return typeof content === 'string' && content.trim() ? [{ type: 'text', text: content }] : []
+}
+
+/**
+ * 转换为标准格式
+ * @param {object} request - 原始请求
+ * @param {string} sourceFormat - 源格式
+ * @returns {object} - 标准格式请求
+ */
+function toStandardFormat(request, sourceFormat) {
+    // 未设置的采样参数保持未设置，由上游使用自己的默认值
+    const standard = {
+        messages: [],
+        model: request.model || '',
+        stream: request.stream || false
+    }
+
+    switch (sourceFormat) {
+        case 'openai':
+        case 'openrouter':
+            standard.messages = request.messages || []
+            standard.max_tokens = request.max_completion_tokens ?? request.max_tokens
+            standard.temperature = request.temperature
+            standard.top_p = request.top_p
+            standard.top_k = request.top_k
+            standard.stop = normalizeStopSequences(request.stop)
+            standard.seed = request.seed
+            standard.presence_penalty = request.presence_penalty
+            standard.frequency_penalty = request.frequency_penalty
+            standard.logprobs = request.logprobs
+            standard.top_logprobs = request.top_logprobs
+            standard.user = request.user
+            // OpenAI 的工具定义就是标准格式
+            standard.tools = request.tools
+            standard.tool_choice = request.tool_choice
+            standard.parallel_tool_calls = request.parallel_tool_calls
+            standard.reasoning = openaiReasoningToStandard(request)
+            standard.n = request.n
+            standard.response_format = request.response_format
+            break
+
+        case 'anthropic':
+            standard.messages = anthropicMessagesToStandard(request.messages || [])
+            standard.max_tokens = request.max_tokens
+            standard.temperature = request.temperature
+            standard.top_p = request.top_p
+            standard.top_k = request.top_k
+            standard.stop = normalizeStopSequences(request.stop_sequences)
+            standard.user = request.metadata?.user_id
+            // Claude 的系统提示（字符串或内容块数组）单独传入，由 normalizeConversation 统一处理
+            if (request.system) {
+                standard.system = request.system
+            }
+            if (request.tools) {
+                standard.tools = anthropicToolsToStandard(request.tools)
+            }
+            if (request.tool_choice) {
+                standard.tool_choice = anthropicToolChoiceToStandard(request.tool_choice)
+                if (request.tool_choice.disable_parallel_tool_use) {
+                    standard.parallel_tool_calls = false
+                }
+            }
+            if (request.thinking) {
+                standard.reasoning = request.thinking.type === 'enabled'
+                    ? { enabled: true, budget_tokens: request.thinking.budget_tokens }
+                    : { enabled: false }
+            }
+            break
+
+        case 'gemini':
+            // Gemini格式转换
+            if (request.contents) {
+                standard.messages = geminiContentsToStandard(request.contents)
+            }
+            const systemInstruction = request.systemInstruction || request.system_instruction
+            if (systemInstruction) {
+                standard.system = (systemInstruction.parts || [])
+                    .filter(part => part.text)
+                    .map(part => ({ type: 'text', text: part.text }))
+            }
+            if (request.generationConfig) {
+                const generationConfig = request.generationConfig
+                standard.max_tokens = generationConfig.maxOutputTokens
+                standard.temperature = generationConfig.temperature
+                standard.top_p = generationConfig.topP
+                standard.top_k = generationConfig.topK
+                standard.stop = normalizeStopSequences(generationConfig.stopSequences)
+                standard.seed = generationConfig.seed
+                standard.presence_penalty = generationConfig.presencePenalty
+                standard.frequency_penalty = generationConfig.frequencyPenalty
+                standard.logprobs = generationConfig.responseLogprobs
+                standard.top_logprobs = generationConfig.logprobs
+                standard.n = generationConfig.candidateCount
+                standard.response_format = geminiResponseFormatToStandard(generationConfig)
+                if (generationConfig.thinkingConfig) {
+                    standard.reasoning = geminiThinkingConfigToStandard(generationConfig.thinkingConfig)
+                }
+            }
+            if (request.tools) {
+                standard.tools = geminiToolsToStandard(request.tools)
+            }
+            if (request.toolConfig?.functionCallingConfig) {
+                standard.tool_choice = geminiToolConfigToStandard(request.toolConfig.functionCallingConfig)
+            }
+            break
+    }
+
+    return standard
+}
+
+/**
+ * 检查是否为 Claude 模型
+ * @param {string} model - 模型名称
+ * @returns {boolean} - 是否为 Claude 模型
+ */
+function isClaudeModel(model) {
+    if (!model) return false
+    const modelLower = model.toLowerCase()
+    return modelLower.includes('claude') || modelLower.includes('anthropic')
+}
+
+/**
+ * 从标准格式转换为目标格式
+ * @param {object} standard - 标准格式请求
+ * @param {string} targetFormat - 目标格式
+ * @param {Request} originalRequest - 原始请求对象，用于获取额外信息
+ * @param {string} platform - 目标平台
+ * @param {object} context - 请求上下文，记录响应转换需要的信息
+ * @returns {object} - 目标格式请求
+ */
+function fromStandardFormat(standard, targetFormat, originalRequest = null, platform = null, context = {}) {
+    switch (targetFormat) {
+        case 'openai':
+        case 'openrouter':
+            const openaiRequest = {
+                model: standard.model,
+                messages: standard.messages,
+                max_tokens: standard.max_tokens,
+                temperature: standard.temperature,
+                top_p: standard.top_p,
+                // top_k 不是 OpenAI 参数，不支持的平台由参数策略移除
+                top_k: standard.top_k,
+                stop: standard.stop,
+                seed: standard.seed,
+                presence_penalty: standard.presence_penalty,
+                frequency_penalty: standard.frequency_penalty,
+                logprobs: standard.logprobs,
+                top_logprobs: standard.top_logprobs,
+                user: standard.user,
+                stream: standard.stream,
+                tools: standard.tools,
+                tool_choice: standard.tool_choice,
+                parallel_tool_calls: standard.parallel_tool_calls,
+                n: standard.n,
+                response_format: standard.response_format,
+                // 流式响应需要在最后的数据块中返回用量，以便转换为客户端格式的用量
+                stream_options: standard.stream ? { include_usage: true } : undefined
+            }
+            
+            // 文档（PDF、纯文本）转换为 OpenAI 支持的形式
+            openaiRequest.messages = prepareDocumentsForOpenAI(openaiRequest.messages, platform)
+            
+            // 历史消息中的推理内容不能回传（部分平台会拒绝包含 reasoning_content 的请求）
+            openaiRequest.messages = openaiRequest.messages.map(({ reasoning_content, reasoning_signature, redacted_reasoning, images, is_error, ...message }) =>
+                // OpenAI 的 tool 消息没有错误标记，执行失败的工具结果以 Error: 前缀表示
+                is_error ? { ...message, content: `Error: ${toolResultToText(message.content)}` } : message)
+            if (standard.reasoning) {
+                Object.assign(openaiRequest, standardReasoningToOpenAI(standard.reasoning))
+            }
+            
+            // max_tokens 上限等平台参数策略和 cache_control 在 prepareUpstreamRequest 中统一处理
+            return openaiRequest
+
+        case 'anthropic':
+            const anthropicRequest = {
+                model: standard.model,
+                messages: standardMessagesToAnthropic(standard.messages),
+                // Claude 要求必须提供 max_tokens
+                max_tokens: standard.max_tokens ?? ANTHROPIC_DEFAULT_MAX_TOKENS,
+                temperature: standard.temperature,
+                top_p: standard.top_p,
+                top_k: standard.top_k,
+                stop_sequences: standard.stop,
+                stream: standard.stream
+            }
+            if (standard.user) {
+                anthropicRequest.metadata = { user_id: standard.user }
+            }
+            
+            // 系统消息已由 normalizeConversation 合并到 system 中
+            if (standard.system) {
+                anthropicRequest.system = standardSystemToContent(standard.system)
+            }
+            
+            if (standard.tools && standard.tools.length > 0) {
+                anthropicRequest.tools = standardToolsToAnthropic(standard.tools)
+            }
+            const anthropicToolChoice = standardToolChoiceToAnthropic(standard.tool_choice, standard.parallel_tool_calls)
+            if (anthropicToolChoice) {
+                anthropicRequest.tool_choice = anthropicToolChoice
+            }
+            
+            // 结构化输出通过强制调用工具模拟（开启思考时 Claude 不支持强制调用工具，改为 auto）
+            // 强制调用后模型不能再调用客户端的工具，因此不能与可调用的客户端工具同时使用
+            if (standard.response_format && standard.response_format.type !== 'text') {
+                if (standard.tools?.length > 0 && standard.tool_choice !== 'none') {
+                    throw new ConversionError('response_format cannot be combined with tools for Claude-format platforms; set tool_choice to "none" or remove response_format')
+                }
+                const { tool, wrapped } = standardResponseFormatToAnthropicTool(standard.response_format)
+                anthropicRequest.tools = [...(anthropicRequest.tools || []), tool]
+                anthropicRequest.tool_choice = standard.reasoning?.enabled
+                    ? { type: 'auto' }
+                    : { type: 'tool', name: tool.name }
+                context.structuredOutput = { toolName: tool.name, wrapped: wrapped }
+            }
+            
+            if (standard.reasoning?.enabled) {
+                const budgetTokens = Math.max(1024, standard.reasoning.budget_tokens || reasoningEffortToBudget(standard.reasoning.effort))
+                anthropicRequest.thinking = { type: 'enabled', budget_tokens: budgetTokens }
+                // budget_tokens 必须小于 max_tokens，且开启思考时不能修改 temperature、top_k，top_p 不能低于 0.95
+                if (anthropicRequest.max_tokens <= budgetTokens) {
+                    anthropicRequest.max_tokens = budgetTokens + anthropicRequest.max_tokens
+                }
+                delete anthropicRequest.temperature
+                delete anthropicRequest.top_k
+                if (anthropicRequest.top_p !== undefined) {
+                    anthropicRequest.top_p = Math.max(anthropicRequest.top_p, 0.95)
+                }
+            }
+            
+            return anthropicRequest
+
+        case 'gemini':
+            // model 和 stream 用于构建目标 URL，发送前由 buildTargetBody 移除
+            const geminiRequest = {
+                model: standard.model,
+                stream: standard.stream,
+                contents: standardMessagesToGemini(standard.messages),
+                generationConfig: {
+                    maxOutputTokens: standard.max_tokens,
+                    temperature: standard.temperature,
+                    topP: standard.top_p,
+                    topK: standard.top_k,
+                    stopSequences: standard.stop,
+                    seed: standard.seed,
+                    presencePenalty: standard.presence_penalty,
+                    frequencyPenalty: standard.frequency_penalty,
+                    responseLogprobs: standard.logprobs,
+                    logprobs: standard.top_logprobs,
+                    candidateCount: standard.n,
+                    ...standardResponseFormatToGemini(standard.response_format)
+                }
+            }
+            
+            if (standard.system) {
+                geminiRequest.systemInstruction = {
+                    parts: standard.system.map(part => ({ text: part.text }))
+                }
+            }
+            
+            if (standard.tools && standard.tools.length > 0) {
+                geminiRequest.tools = standardToolsToGemini(standard.tools)
+            }
+            const functionCallingConfig = standardToolChoiceToGemini(standard.tool_choice)
+            if (functionCallingConfig) {
+                geminiRequest.toolConfig = { functionCallingConfig }
+            }
+            
+            if (standard.reasoning) {
+                geminiRequest.generationConfig.thinkingConfig = standard.reasoning.enabled
+                    ? {
+                        thinkingBudget: standard.reasoning.budget_tokens || reasoningEffortToBudget(standard.reasoning.effort),
+                        includeThoughts: true
+                    }
+                    : { thinkingBudget: 0 }
+            }
+
+            return geminiRequest
+
+        default:
+            return standard
+    }
+}
+
+// 请求未指定 max_tokens 时发往 Claude 使用的值（Claude 要求必须提供）
+const ANTHROPIC_DEFAULT_MAX_TOKENS = 4096
+
+// 上游（如 OpenRouter、Gemini）没有提供思考签名时，返回给 Claude 客户端的占位签名
+// Claude 会拒绝无效的签名，带有该签名的历史思考块不会回传给 Claude 格式的平台
+const UNSIGNED_THINKING_SIGNATURE = 'gateway-unsigned-thinking'
+
+/**
+ * 移除 Claude 消息中由网关生成的（带占位签名的）思考块
+ * @param {Array} messages - Claude 消息数组
+ * @returns {Array} - 处理后的消息数组
+ */
+function removeUnsignedThinking(messages) {
+    return (messages || []).map(message => {
+        if (message.role !== 'assistant' || !Array.isArray(message.content) ||
+            !message.content.some(block => block.type === 'thinking' && block.signature === UNSIGNED_THINKING_SIGNATURE)) {
+            return message
+        }
+        const content = message.content.filter(block => !(block.type === 'thinking' && block.signature === UNSIGNED_THINKING_SIGNATURE))
+        return { ...message, content: content.length > 0 ? content : [{ type: 'text', text: EMPTY_TURN_PLACEHOLDER }] }
+    })
+}
+
+/**
+ * 将停止序列统一为数组（OpenAI 的 stop 可以是字符串）
+ * @param {string|Array} stop - 停止序列
+ * @returns {Array|undefined} - 停止序列数组，未设置时返回 undefined
+ */
+function normalizeStopSequences(stop) {
+    if (stop == null) return undefined
+    const sequences = (Array.isArray(stop) ? stop : [stop]).filter(item => typeof item === 'string' && item)
+    return sequences.length > 0 ? sequences : undefined
+}
+
+/**
+ * 生成工具调用 ID（用于没有原生 ID 的格式，如 Gemini）
+ * @returns {string} - 工具调用 ID
+ */
+function generateToolCallId() {
+    return 'call_' + crypto.randomUUID().replace(/-/g, '').substring(0, 24)
+}
+
+/**
+ * 安全解析工具调用参数
+ * @param {string|object} args - JSON 字符串形式的参数
+ * @returns {object} - 解析后的参数对象
+ */
+function parseToolArguments(args) {
+    if (!args) return {}
+    if (typeof args === 'object') return args
+    try {
+        const parsed = JSON.parse(args)
+        return parsed && typeof parsed === 'object' ? parsed : { value: parsed }
+    } catch (e) {
+        return {}
+    }
+}
+
+/**
+ * 将工具结果内容转换为文本
+ * @param {string|Array} content - 工具结果内容
+ * @returns {string} - 文本内容
+ */
+function toolResultToText(content) {
+    if (typeof content === 'string') return content
+    if (Array.isArray(content)) {
+        return content
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('')
+    }
+    return content == null ? '' : JSON.stringify(content)
+}
+
+/**
+ * 将 Claude 消息转换为标准格式（OpenAI 风格）
+ * tool_use 块转换为 tool_calls，tool_result 块转换为 role: tool 消息
+ * @param {Array} messages - Claude 消息数组
+ * @returns {Array} - 标准格式消息数组
+ */
+function anthropicMessagesToStandard(messages) {
+    const result = []
+    
+    for (const message of messages) {
+        if (!Array.isArray(message.content)) {
+            result.push(message)
+            continue
+        }
+        
+        if (message.role === 'assistant') {
+            const textParts = message.content.filter(block => block.type === 'text')
+            const toolUses = message.content.filter(block => block.type === 'tool_use')
+            const thinkingBlocks = message.content.filter(block => block.type === 'thinking')
+            const redactedBlocks = message.content.filter(block => block.type === 'redacted_thinking')
+            const standardMessage = {
+                role: 'assistant',
+                content: textParts.map(block => block.text).join('') || null
+            }
+            if (redactedBlocks.length > 0) {
+                standardMessage.redacted_reasoning = redactedBlocks.map(block => block.data)
+            }
+            if (thinkingBlocks.length > 0) {
+                standardMessage.reasoning_content = thinkingBlocks.map(block => block.thinking).join('')
+                const signature = thinkingBlocks[thinkingBlocks.length - 1].signature
+                if (signature && signature !== UNSIGNED_THINKING_SIGNATURE) {
+                    standardMessage.reasoning_signature = signature
+                }
+            }
+            if (toolUses.length > 0) {
+                standardMessage.tool_calls = toolUses.map(block => ({
+                    id: block.id,
+                    type: 'function',
+                    function: {
+                        name: block.name,
+                        arguments: JSON.stringify(block.input || {})
+                    }
+                }))
+            }
+            // 文本合并后缓存断点记录在消息上，转换回 Claude 格式时设置在最后一个内容块
+            const cacheControl = message.content.findLast(block => block.cache_control)?.cache_control
+            if (cacheControl) {
+                standardMessage.cache_control = cacheControl
+            }
+            result.push(standardMessage)
+            continue
+        }
+        
+        // 用户消息：tool_result 需要拆分为独立的 tool 消息，并放在其余内容之前
+        // tool 消息只能包含文本，工具结果中的图片、文档（如截图）放到紧随其后的用户消息中
+        const toolResultParts = []
+        const otherParts = []
+        for (const block of message.content) {
+            if (block.type === 'tool_result') {
+                const toolMessage = {
+                    role: 'tool',
+                    tool_call_id: block.tool_use_id,
+                    content: toolResultToText(block.content)
+                }
+                // 工具结果上的缓存断点和错误标记记录在消息上，转换回 Claude 格式时还原
+                if (block.cache_control) {
+                    toolMessage.cache_control = block.cache_control
+                }
+                if (block.is_error) {
+                    toolMessage.is_error = true
+                }
+                result.push(toolMessage)
+                if (Array.isArray(block.content)) {
+                    toolResultParts.push(...block.content.filter(part => part.type !== 'text').map(anthropicBlockToStandardPart))
+                }
+            } else {
+                otherParts.push(anthropicBlockToStandardPart(block))
+            }
+        }
+        if (toolResultParts.length > 0 || otherParts.length > 0) {
+            result.push({ ...message, content: [...toolResultParts, ...otherParts] })
+        }
+    }
+    
+    return result
+}
+
+/**
+ * 将标准格式消息转换为 Claude 消息
+ * tool_calls 转换为 tool_use 块，连续的 tool 消息合并为一条包含 tool_result 的用户消息
+ * @param {Array} messages - 标准格式消息数组
+ * @returns {Array} - Claude 消息数组
+ */
+function standardMessagesToAnthropic(messages) {
+    const result = []
+    
+    for (const message of messages) {
+        if (message.role === 'tool') {
+            const toolResult = {
+                type: 'tool_result',
+                tool_use_id: message.tool_call_id,
+                content: toolResultToText(message.content)
+            }
+            if (message.is_error) {
+                toolResult.is_error = true
+            }
+            if (message.cache_control) {
+                toolResult.cache_control = message.cache_control
+            }
+            const last = result[result.length - 1]
+            if (last && last.role === 'user' && Array.isArray(last.content) &&
+                last.content.every(block => block.type === 'tool_result')) {
+                last.content.push(toolResult)
+            } else {
+                result.push({ role: 'user', content: [toolResult] })
+            }
+            continue
+        }
+        
+        if (message.role === 'assistant' && ((message.tool_calls && message.tool_calls.length > 0) || message.reasoning_signature || message.redacted_reasoning)) {
+            const content = []
+            // 只有带签名的思考内容才能回传给 Claude
+            if (message.reasoning_signature) {
+                content.push({
+                    type: 'thinking',
+                    thinking: message.reasoning_content || '',
+                    signature: message.reasoning_signature
+                })
+            }
+            for (const data of message.redacted_reasoning || []) {
+                content.push({ type: 'redacted_thinking', data: data })
+            }
+            const text = typeof message.content === 'string' ? message.content : toolResultToText(message.content)
+            if (text) {
+                content.push({ type: 'text', text: text })
+            }
+            for (const toolCall of message.tool_calls || []) {
+                content.push({
+                    type: 'tool_use',
+                    id: toolCall.id,
+                    name: toolCall.function.name,
+                    input: parseToolArguments(toolCall.function.arguments)
+                })
+            }
+            result.push({ role: 'assistant', content: message.cache_control ? withCacheControl(content, message.cache_control) : content })
+            continue
+        }
+        
+        // Claude 消息只接受 role 和 content 字段（OpenAI 的 name、reasoning_content 等需要去掉）
+        let content = Array.isArray(message.content)
+            ? message.content.map(standardPartToAnthropicBlock)
+            : message.content
+        if (message.cache_control) {
+            content = withCacheControl(content, message.cache_control)
+        }
+        // 工具结果之后紧跟的用户消息合并到同一轮，工具结果块需要放在最前面
+        const last = result[result.length - 1]
+        if (message.role === 'user' && last && last.role === 'user' && Array.isArray(last.content)) {
+            last.content.push(...(typeof content === 'string' ? [{ type: 'text', text: content }] : content))
+            continue
+        }
+        result.push({ role: message.role, content: content })
+    }
+    
+    return result
+}
+
+/**
+ * 将 Gemini contents 转换为标准格式消息
+ * @param {Array} contents - Gemini contents 数组
+ * @returns {Array} - 标准格式消息数组
+ */
+function geminiContentsToStandard(contents) {
+    const result = []
+    // Gemini 的函数调用没有稳定的 ID，按函数名记录待匹配的调用 ID
+    const pendingCallIds = {}
+    
+    for (const content of contents) {
+        const parts = content.parts || []
+        
+        if (content.role === 'model') {
+            // thought: true 的部分是思考内容，不计入回答文本
+            const text = parts.filter(part => !part.thought).map(geminiPartToText).join('')
+            const thoughts = parts.filter(part => part.text !== undefined && part.thought)
+            const functionCalls = parts.filter(part => part.functionCall)
+            const images = parts.filter(part => part.inlineData || part.fileData).map(geminiPartToStandardPart)
+            const message = {
+                role: 'assistant',
+                content: text || (functionCalls.length > 0 ? null : '')
+            }
+            if (thoughts.length > 0) {
+                message.reasoning_content = thoughts.map(part => part.text).join('')
+            }
+            // 模型生成的图片（OpenRouter 风格的 images 字段）
+            if (images.length > 0) {
+                message.images = images
+            }
+            if (functionCalls.length > 0) {
+                message.tool_calls = functionCalls.map(part => {
+                    const id = part.functionCall.id || generateToolCallId()
+                    const name = part.functionCall.name
+                    pendingCallIds[name] = pendingCallIds[name] || []
+                    pendingCallIds[name].push(id)
+                    return {
+                        id: id,
+                        type: 'function',
+                        function: {
+                            name: name,
+                            arguments: JSON.stringify(part.functionCall.args || {})
+                        }
+                    }
+                })
+            }
+            result.push(message)
+            continue
+        }
+        
+        // 用户（或 function 角色）消息：functionResponse 转换为 tool 消息
+        const contentParts = []
+        for (const part of parts) {
+            if (part.functionResponse) {
+                const name = part.functionResponse.name
+                const id = part.functionResponse.id || pendingCallIds[name]?.shift() || generateToolCallId()
+                const response = part.functionResponse.response
+                const toolMessage = {
+                    role: 'tool',
+                    tool_call_id: id,
+                    content: typeof response?.content === 'string' && Object.keys(response).length === 1
+                        ? response.content
+                        : JSON.stringify(response ?? {})
+                }
+                // 只有 error 字段的结果表示函数执行失败
+                if (response && response.error !== undefined && Object.keys(response).length === 1) {
+                    toolMessage.content = typeof response.error === 'string' ? response.error : JSON.stringify(response.error)
+                    toolMessage.is_error = true
+                }
+                result.push(toolMessage)
+            } else {
+                const contentPart = geminiPartToStandardPart(part)
+                if (contentPart) {
+                    contentParts.push(contentPart)
+                }
+            }
+        }
+        if (contentParts.length > 0) {
+            // 纯文本内容保持字符串形式，包含图片等多模态内容时使用内容数组
+            const textOnly = contentParts.every(part => part.type === 'text')
+            result.push({
+                role: 'user',
+                content: textOnly ? contentParts.map(part => part.text).join('') : contentParts
+            })
+        }
+    }
+    
+    return result
+}
+
+/**
+ * 将 Gemini 模型输出的 part 转换为回答文本
+ * 代码执行相关的部分以 Markdown 代码块形式保留
+ * @param {object} part - Gemini part
+ * @returns {string} - 文本
+ */
+function geminiPartToText(part) {
+    if (part.text !== undefined) {
+        return part.text
+    }
+    if (part.executableCode) {
+        const language = (part.executableCode.language || '').toLowerCase().replace('language_unspecified', '')
+        return `\n\`\`\`${language}\n${part.executableCode.code}\n\`\`\`\n`
+    }
+    if (part.codeExecutionResult) {
+        return `\n\`\`\`\n${part.codeExecutionResult.output || ''}\n\`\`\`\n`
+    }
+    return ''
+}
+
+/**
+ * 将标准格式消息转换为 Gemini contents
+ * @param {Array} messages - 标准格式消息数组
+ * @returns {Array} - Gemini contents 数组
+ */
+function standardMessagesToGemini(messages) {
+    const contents = []
+    // functionResponse 需要函数名，根据 tool_call_id 反查
+    const toolNames = {}
+    
+    for (const message of messages) {
+        if (message.role === 'tool') {
+            const part = {
+                functionResponse: {
+                    name: toolNames[message.tool_call_id] || message.name || 'unknown',
+                    response: toolResultToGeminiResponse(message.content, message.is_error)
+                }
+            }
+            // 同一轮的多个函数结果需要放在同一个 content 中
+            const last = contents[contents.length - 1]
+            if (last && last.role === 'user' && last.parts.every(p => p.functionResponse)) {
+                last.parts.push(part)
+            } else {
+                contents.push({ role: 'user', parts: [part] })
+            }
+            continue
+        }
+        
+        const parts = standardContentToGeminiParts(message.content)
+        
+        if (message.role === 'assistant' && message.tool_calls) {
+            for (const toolCall of message.tool_calls) {
+                toolNames[toolCall.id] = toolCall.function.name
+                parts.push({
+                    functionCall: {
+                        name: toolCall.function.name,
+                        args: parseToolArguments(toolCall.function.arguments)
+                    }
+                })
+            }
+        }
+        
+        if (parts.length === 0) {
+            parts.push({ text: '' })
+        }
+        
+        // 函数结果之后紧跟的用户消息合并到同一轮
+        const role = message.role === 'user' ? 'user' : 'model'
+        const last = contents[contents.length - 1]
+        if (role === 'user' && last && last.role === 'user') {
+            last.parts.push(...parts)
+            continue
+        }
+        contents.push({ role: role, parts: parts })
+    }
+    
+    return contents
+}
+
+/**
+ * 将工具结果转换为 Gemini functionResponse.response 对象
+ * @param {string|Array} content - 工具结果内容
+ * @param {boolean} isError - 工具是否执行失败（失败时结果放在 error 字段中）
+ * @returns {object} - response 对象
+ */
+function toolResultToGeminiResponse(content, isError = false) {
+    const text = toolResultToText(content)
+    if (isError) {
+        return { error: text }
+    }
+    try {
+        const parsed = JSON.parse(text)
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+            return parsed
+        }
+    } catch (e) {
+        // 非 JSON 结果按文本包装
+    }
+    return { content: text }
+}
+
+// 根据文件扩展名识别媒体类型
+const MEDIA_TYPES_BY_EXTENSION = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    heic: 'image/heic',
+    heif: 'image/heif',
+    pdf: 'application/pdf'
+}
+
+// 根据 base64 数据开头（文件魔数）识别媒体类型
+const MEDIA_TYPES_BY_BASE64_PREFIX = {
+    'iVBORw0KGgo': 'image/png',
+    '/9j/': 'image/jpeg',
+    'R0lGOD': 'image/gif',
+    'UklGR': 'image/webp',
+    'JVBERi0': 'application/pdf'
+}
+
+/**
+ * 识别媒体类型
+ * @param {string} source - base64 数据或 URL
+ * @param {string} fallback - 无法识别时的默认类型
+ * @returns {string} - 媒体类型
+ */
+function detectMediaType(source, fallback = 'image/jpeg') {
+    if (!source) return fallback
+    
+    const dataUrlMatch = source.match(/^data:([^;,]+)[;,]/)
+    if (dataUrlMatch) {
+        return dataUrlMatch[1]
+    }
+    
+    if (/^(https?|gs):\/\//.test(source)) {
+        const extension = source.split(/[?#]/)[0].split('.').pop().toLowerCase()
+        return MEDIA_TYPES_BY_EXTENSION[extension] || fallback
+    }
+    
+    for (const [prefix, mediaType] of Object.entries(MEDIA_TYPES_BY_BASE64_PREFIX)) {
+        if (source.startsWith(prefix)) {
+            return mediaType
+        }
+    }
+    return fallback
+}
+
+/**
+ * 解析 data URL
+ * @param {string} url - URL
+ * @returns {object|null} - { mediaType, data }，不是 base64 data URL 时返回 null
+ */
+function parseDataUrl(url) {
+    const match = typeof url === 'string' && url.match(/^data:([^;,]*)(?:;[^,]*)?;base64,(.*)$/s)
+    if (!match) {
+        return null
+    }
+    return {
+        mediaType: match[1] || detectMediaType(match[2]),
+        data: match[2]
+    }
+}
+
+/**
+ * 将 Claude 内容块转换为标准格式内容部分
+ * @param {object} block - Claude 内容块
+ * @returns {object} - 标准格式内容部分
+ */
+function anthropicBlockToStandardPart(block) {
+    let part = block
+    if (block.type === 'image' && block.source?.type === 'base64') {
+        const mediaType = block.source.media_type || detectMediaType(block.source.data)
+        part = {
+            type: 'image_url',
+            image_url: { url: `data:${mediaType};base64,${block.source.data}` }
+        }
+    } else if (block.type === 'image' && block.source?.type === 'url') {
+        part = {
+            type: 'image_url',
+            image_url: { url: block.source.url }
+        }
+    } else if (block.type === 'image') {
+        // Files API 上传的图片（source.type: file）只能在 Claude 平台上使用
+        throw new ConversionError(block.source?.type === 'file'
+            ? 'File references by file_id cannot be converted; send the image content as base64 data instead'
+            : `Unsupported image source type: ${block.source?.type}`)
+    } else if (block.type === 'document' && block.source) {
+        part = anthropicDocumentToStandardPart(block)
+    }
+    // 保留缓存断点
+    return block.cache_control && part !== block ? { ...part, cache_control: block.cache_control } : part
+}
+
+/**
+ * 将 Claude document 块转换为标准格式文件部分（OpenAI 风格的 file 内容部分）
+ * 纯文本文档以 text/plain 的 data URL 表示
+ * @param {object} block - Claude document 块
+ * @returns {object} - 标准格式文件部分
+ */
+function anthropicDocumentToStandardPart(block) {
+    const source = block.source
+    let fileData
+    switch (source.type) {
+        case 'base64':
+            fileData = `data:${source.media_type || detectMediaType(source.data, 'application/pdf')};base64,${source.data}`
+            break
+        case 'text':
+            fileData = `data:${source.media_type || 'text/plain'};base64,${utf8ToBase64(source.data || '')}`
+            break
+        case 'url':
+            fileData = source.url
+            break
+        case 'content':
+            const text = typeof source.content === 'string' ? source.content : toolResultToText(source.content)
+            fileData = `data:text/plain;base64,${utf8ToBase64(text)}`
+            break
+        case 'file':
+            throw new ConversionError('File references by file_id cannot be converted; send the document content as base64 data instead')
+        default:
+            throw new ConversionError(`Unsupported document source type: ${source.type}`)
+    }
+    
+    return {
+        type: 'file',
+        file: {
+            filename: block.title || (fileData.startsWith('data:text/') ? 'document.txt' : 'document.pdf'),
+            file_data: fileData
+        }
+    }
+}
+
+/**
+ * 将标准格式内容部分转换为 Claude 内容块
+ * @param {object} part - 标准格式内容部分
+ * @returns {object} - Claude 内容块
+ */
+function standardPartToAnthropicBlock(part) {
+    if (part.type === 'image_url') {
+        const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url
+        const dataUrl = parseDataUrl(url)
+        const source = dataUrl
+            ? { type: 'base64', media_type: dataUrl.mediaType, data: dataUrl.data }
+            : { type: 'url', url: url }
+        return part.cache_control
+            ? { type: 'image', source, cache_control: part.cache_control }
+            : { type: 'image', source }
+    }
+    if (part.type === 'file') {
+        return standardFileToAnthropicDocument(part)
+    }
+    return part
+}
+
+/**
+ * 将标准格式文件部分转换为 Claude document 块
+ * @param {object} part - 标准格式文件部分
+ * @returns {object} - Claude document 块
+ */
+function standardFileToAnthropicDocument(part) {
+    const fileData = part.file?.file_data
+    if (!fileData) {
+        // file_id 引用的是 OpenAI 上传的文件，其他平台无法读取
+        throw new ConversionError('File references by file_id cannot be converted; send the file content as file_data instead')
+    }
+    
+    const dataUrl = parseDataUrl(fileData)
+    let source
+    if (!dataUrl) {
+        source = { type: 'url', url: fileData }
+    } else if (dataUrl.mediaType.startsWith('text/')) {
+        source = { type: 'text', media_type: 'text/plain', data: base64ToUtf8(dataUrl.data) }
+    } else if (dataUrl.mediaType === 'application/pdf') {
+        source = { type: 'base64', media_type: 'application/pdf', data: dataUrl.data }
+    } else {
+        throw new ConversionError(`Unsupported document media type for Anthropic: ${dataUrl.mediaType}`)
+    }
+    
+    const document = { type: 'document', source }
+    if (part.file.filename && !['document.pdf', 'document.txt'].includes(part.file.filename)) {
+        document.title = part.file.filename
+    }
+    if (part.cache_control) {
+        document.cache_control = part.cache_control
+    }
+    return document
+}
+
+/**
+ * 将 Gemini part 转换为标准格式内容部分
+ * @param {object} part - Gemini part
+ * @returns {object|null} - 标准格式内容部分，无法识别时返回 null
+ */
+function geminiPartToStandardPart(part) {
+    if (part.text !== undefined) {
+        return { type: 'text', text: part.text }
+    }
+    if (part.inlineData) {
+        const mediaType = part.inlineData.mimeType || detectMediaType(part.inlineData.data)
+        const url = `data:${mediaType};base64,${part.inlineData.data}`
+        if (isDocumentMediaType(mediaType)) {
+            return {
+                type: 'file',
+                file: { filename: mediaType.startsWith('text/') ? 'document.txt' : 'document.pdf', file_data: url }
+            }
+        }
+        return {
+            type: 'image_url',
+            image_url: { url: url }
+        }
+    }
+    if (part.fileData) {
+        if (isDocumentMediaType(part.fileData.mimeType || detectMediaType(part.fileData.fileUri))) {
+            return {
+                type: 'file',
+                file: { filename: 'document.pdf', file_data: part.fileData.fileUri }
+            }
+        }
+        return {
+            type: 'image_url',
+            image_url: { url: part.fileData.fileUri }
+        }
+    }
+    return null
+}
+
+/**
+ * 判断媒体类型是否为文档（PDF 或纯文本）
+ * @param {string} mediaType - 媒体类型
+ * @returns {boolean} - 是否为文档
+ */
+function isDocumentMediaType(mediaType) {
+    return mediaType === 'application/pdf' || (mediaType || '').startsWith('text/')
+}
+
+/**
+ * 将标准格式消息内容转换为 Gemini parts
+ * @param {string|Array} content - 标准格式消息内容
+ * @returns {Array} - Gemini parts
+ */
+function standardContentToGeminiParts(content) {
+    if (content == null || content === '') {
+        return []
+    }
+    if (typeof content === 'string') {
+        return [{ text: content }]
+    }
+    
+    const parts = []
+    for (const part of content) {
+        if (part.type === 'text') {
+            if (part.text) {
+                parts.push({ text: part.text })
+            }
+        } else if (part.type === 'image_url') {
+            const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url
+            const dataUrl = parseDataUrl(url)
+            if (dataUrl) {
+                parts.push({ inlineData: { mimeType: dataUrl.mediaType, data: dataUrl.data } })
+            } else if (url) {
+                parts.push({ fileData: { mimeType: detectMediaType(url), fileUri: checkGeminiFileUri(url) } })
+            }
+        } else if (part.type === 'file') {
+            const fileData = part.file?.file_data
+            if (!fileData) {
+                throw new ConversionError('File references by file_id cannot be converted; send the file content as file_data instead')
+            }
+            const dataUrl = parseDataUrl(fileData)
+            if (dataUrl) {
+                parts.push({ inlineData: { mimeType: dataUrl.mediaType, data: dataUrl.data } })
+            } else {
+                parts.push({ fileData: { mimeType: detectMediaType(fileData, 'application/pdf'), fileUri: checkGeminiFileUri(fileData) } })
+            }
+        }
+    }
+    return parts
+}
+
+/**
+ * 检查 URL 能否作为 Gemini 的 fileData.fileUri
+ * Gemini 只接受 File API 上传的文件、Cloud Storage（gs://）和 YouTube 的地址，普通网页地址会被上游拒绝
+ * @param {string} url - 图片或文档的 URL
+ * @returns {string} - URL
+ * @throws {ConversionError} - Gemini 不接受的 URL
+ */
+function checkGeminiFileUri(url) {
+    if (/^(gs:\/\/|https:\/\/generativelanguage\.googleapis\.com\/|https:\/\/(www\.)?(youtube\.com|youtu\.be)\/)/.test(url)) {
+        return url
+    }
+    throw new ConversionError('Gemini only accepts File API, Cloud Storage (gs://) or YouTube URLs; send images and documents as base64 data instead')
+}
+
+/**
+ * 处理发往 OpenAI 格式平台的文档内容
+ * 纯文本文档转换为文本部分；平台不支持文件输入，或文档是 URL 而平台只接受 base64 数据（OpenAI 的 file_data）时抛出转换错误
+ * @param {Array} messages - 标准格式消息数组
+ * @param {string} platform - 目标平台
+ * @returns {Array} - 处理后的消息数组
+ */
+function prepareDocumentsForOpenAI(messages, platform) {
+    const config = getPlatformConfig(platform)
+    const supportsDocuments = config?.supportsDocuments !== false
+    
+    return messages.map(message => {
+        if (!Array.isArray(message.content) || !message.content.some(part => part.type === 'file')) {
+            return message
+        }
+        
+        const content = message.content.map(part => {
+            if (part.type !== 'file') {
+                return part
+            }
+            const dataUrl = parseDataUrl(part.file?.file_data)
+            if (dataUrl && dataUrl.mediaType.startsWith('text/')) {
+                const title = ['document.txt', 'document.pdf'].includes(part.file.filename) ? '' : `${part.file.filename}\n\n`
+                return { type: 'text', text: title + base64ToUtf8(dataUrl.data) }
+            }
+            if (!supportsDocuments) {
+                throw new ConversionError(`Platform '${platform}' does not support document (PDF) input`)
+            }
+            if (!dataUrl && part.file?.file_data && !config?.supportsDocumentUrls) {
+                throw new ConversionError(`Platform '${platform}' does not support document URLs; send the document as base64 data instead`)
+            }
+            return part
+        })
+        return { ...message, content }
+    })
+}
+
+/**
+ * 将 UTF-8 文本编码为 base64
+ * @param {string} text - 文本
+ * @returns {string} - base64 字符串
+ */
+function utf8ToBase64(text) {
+    let binary = ''
+    for (const byte of new TextEncoder().encode(text)) {
+        binary += String.fromCharCode(byte)
+    }
+    return btoa(binary)
+}
+
+/**
+ * 将 base64 解码为 UTF-8 文本
+ * @param {string} data - base64 字符串
+ * @returns {string} - 文本
+ */
+function base64ToUtf8(data) {
+    const bytes = Uint8Array.from(atob(data), char => char.charCodeAt(0))
+    return new TextDecoder().decode(bytes)
+}
+
+/**
+ * 将 Claude 工具定义转换为标准格式
+ * @param {Array} tools - Claude 工具数组
+ * @returns {Array} - 标准格式工具数组
+ */
+function anthropicToolsToStandard(tools) {
+    // 服务端工具（如 web_search）没有 input_schema，无法转换为函数定义
+    return tools
+        .filter(tool => tool.input_schema)
+        .map(tool => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.input_schema
+            },
+            // 缓存断点保留在工具定义上，发往不支持缓存的平台时移除
+            ...(tool.cache_control ? { cache_control: tool.cache_control } : {})
+        }))
+}
+
+/**
+ * 将标准格式工具定义转换为 Claude 格式
+ * @param {Array} tools - 标准格式工具数组
+ * @returns {Array} - Claude 工具数组
+ */
+function standardToolsToAnthropic(tools) {
+    return tools
+        .filter(tool => tool.type === 'function' && tool.function)
+        .map(tool => ({
+            name: tool.function.name,
+            description: tool.function.description,
+            input_schema: tool.function.parameters || { type: 'object', properties: {} },
+            ...(tool.cache_control ? { cache_control: tool.cache_control } : {})
+        }))
+}
+
+/**
+ * 将 Gemini 工具定义转换为标准格式
+ * @param {Array} tools - Gemini 工具数组
+ * @returns {Array} - 标准格式工具数组
+ */
+function geminiToolsToStandard(tools) {
+    const result = []
+    for (const tool of tools) {
+        for (const declaration of tool.functionDeclarations || []) {
+            result.push({
+                type: 'function',
+                function: {
+                    name: declaration.name,
+                    description: declaration.description,
+                    parameters: declaration.parameters || declaration.parametersJsonSchema || { type: 'object', properties: {} }
+                }
+            })
+        }
+    }
+    return result
+}
+
+/**
+ * 将标准格式工具定义转换为 Gemini 格式
+ * @param {Array} tools - 标准格式工具数组
+ * @returns {Array} - Gemini 工具数组
+ */
+function standardToolsToGemini(tools) {
+    const functionDeclarations = tools
+        .filter(tool => tool.type === 'function' && tool.function)
+        .map(tool => {
+            const declaration = {
+                name: tool.function.name,
+                description: tool.function.description
+            }
+            const parameters = cleanGeminiSchema(tool.function.parameters)
+            // Gemini 不接受没有属性的 object 参数定义
+            if (parameters && !(parameters.type === 'object' && Object.keys(parameters.properties || {}).length === 0)) {
+                declaration.parameters = parameters
+            }
+            return declaration
+        })
+    return [{ functionDeclarations }]
+}
+
+// Gemini 函数参数 schema 不支持的 JSON Schema 关键字
+const GEMINI_UNSUPPORTED_SCHEMA_KEYS = ['$schema', '$id', '$ref', '$defs', 'definitions', 'additionalProperties', 'default', 'examples', 'const']
+
+/**
+ * 清理 Gemini 不支持的 JSON Schema 关键字
+ * @param {object} schema - JSON Schema
+ * @returns {object} - 清理后的 schema
+ */
+function cleanGeminiSchema(schema) {
+    if (Array.isArray(schema)) {
+        return schema.map(cleanGeminiSchema)
     }
-    
-    if (googApiKey) {
-        return googApiKey
+    if (!schema || typeof schema !== 'object') {
+        return schema
     }
     
-    if (urlKey) {
-        return urlKey
+    const cleaned = {}
+    for (const [key, value] of Object.entries(schema)) {
+        if (GEMINI_UNSUPPORTED_SCHEMA_KEYS.includes(key)) continue
+        // 字符串类型只支持 enum 和 date-time 两种 format
+        if (key === 'format' && schema.type === 'string' && !['enum', 'date-time'].includes(value)) continue
+        if (key === 'properties' && value && typeof value === 'object') {
+            cleaned.properties = {}
+            for (const [name, property] of Object.entries(value)) {
+                cleaned.properties[name] = cleanGeminiSchema(property)
+            }
+            continue
+        }
+        cleaned[key] = typeof value === 'object' ? cleanGeminiSchema(value) : value
+    }
+    return cleaned
+}
+
+/**
+ * 将 Claude tool_choice 转换为标准格式
+ * @param {object} toolChoice - Claude tool_choice
+ * @returns {string|object} - 标准格式 tool_choice
+ */
+function anthropicToolChoiceToStandard(toolChoice) {
+    switch (toolChoice.type) {
+        case 'any':
+            return 'required'
+        case 'tool':
+            return { type: 'function', function: { name: toolChoice.name } }
+        case 'none':
+            return 'none'
+        default:
+            return 'auto'
+    }
+}
+
+/**
+ * 将标准格式 tool_choice 转换为 Claude 格式
+ * @param {string|object} toolChoice - 标准格式 tool_choice
+ * @param {boolean} parallelToolCalls - 是否允许并行工具调用
+ * @returns {object|null} - Claude tool_choice
+ */
+function standardToolChoiceToAnthropic(toolChoice, parallelToolCalls) {
+    let result = null
+    if (toolChoice === 'required') {
+        result = { type: 'any' }
+    } else if (toolChoice === 'none') {
+        result = { type: 'none' }
+    } else if (toolChoice === 'auto') {
+        result = { type: 'auto' }
+    } else if (toolChoice && toolChoice.function?.name) {
+        result = { type: 'tool', name: toolChoice.function.name }
     }
     
+    if (parallelToolCalls === false && (!result || result.type !== 'none')) {
+        result = { ...(result || { type: 'auto' }), disable_parallel_tool_use: true }
+    }
+    return result
+}
+
+/**
+ * 将 Gemini functionCallingConfig 转换为标准格式 tool_choice
+ * @param {object} config - Gemini functionCallingConfig
+ * @returns {string|object} - 标准格式 tool_choice
+ */
+function geminiToolConfigToStandard(config) {
+    switch (config.mode) {
+        case 'ANY':
+            // 只允许一个函数时等价于指定函数
+            if (config.allowedFunctionNames?.length === 1) {
+                return { type: 'function', function: { name: config.allowedFunctionNames[0] } }
+            }
+            return 'required'
+        case 'NONE':
+            return 'none'
+        default:
+            return 'auto'
+    }
+}
+
+/**
+ * 将标准格式 tool_choice 转换为 Gemini functionCallingConfig
+ * @param {string|object} toolChoice - 标准格式 tool_choice
+ * @returns {object|null} - Gemini functionCallingConfig
+ */
+function standardToolChoiceToGemini(toolChoice) {
+    if (toolChoice === 'required') {
+        return { mode: 'ANY' }
+    } else if (toolChoice === 'none') {
+        return { mode: 'NONE' }
+    } else if (toolChoice === 'auto') {
+        return { mode: 'AUTO' }
+    } else if (toolChoice && toolChoice.function?.name) {
+        return { mode: 'ANY', allowedFunctionNames: [toolChoice.function.name] }
+    }
     return null
 }
 
+// Claude 没有原生的结构化输出，通过强制调用此工具模拟，响应中再还原为 JSON 文本
+const STRUCTURED_OUTPUT_TOOL_NAME = 'json_response'
+
 /**
- * 构建目标API的URL
- * @param {object} config - API配置
- * @param {string} model - 模型名称
- * @param {string} format - API格式
- * @returns {string} - 目标URL
+ * 将 Gemini 的 responseMimeType / responseSchema 转换为标准格式 response_format
+ * @param {object} generationConfig - Gemini generationConfig
+ * @returns {object|undefined} - 标准格式 response_format
  */
-function buildTargetUrl(config, model, format) {
-    if (format === 'gemini') {
-        // 对于 Gemini，需要从模型名称中提取实际的模型标识
-        const actualModel = model.includes('/') ? model.split('/')[1] : model
-        return `${config.baseUrl}${config.endpoint.replace('{model}', actualModel)}`
+function geminiResponseFormatToStandard(generationConfig) {
+    if (generationConfig.responseMimeType !== 'application/json') {
+        return undefined
+    }
+    const schema = generationConfig.responseJsonSchema || generationConfig.responseSchema
+    if (!schema) {
+        return { type: 'json_object' }
+    }
+    return {
+        type: 'json_schema',
+        json_schema: { name: 'response', schema: geminiSchemaToJsonSchema(schema) }
     }
-    return `${config.baseUrl}${config.endpoint}`
 }
 
 /**
- * 构建目标API的请求头
- * @param {object} config - API配置
- * @param {string} token - 认证令牌
- * @param {string} format - API格式
- * @param {Request} originalRequest - 原始请求对象，用于获取额外的请求头
- * @returns {object} - 请求头
+ * 将 Gemini Schema（类型为大写，如 OBJECT）转换为 JSON Schema
+ * @param {object} schema - Gemini Schema
+ * @returns {object} - JSON Schema
  */
-function buildTargetHeaders(config, token, format, originalRequest = null) {
-    const headers = {}
+function geminiSchemaToJsonSchema(schema) {
+    if (Array.isArray(schema)) {
+        return schema.map(geminiSchemaToJsonSchema)
+    }
+    if (!schema || typeof schema !== 'object') {
+        return schema
+    }
     
-    for (const [key, value] of Object.entries(config.headers)) {
-        if (value === '{token}') {
-            // 检查是否是 Authorization 头，如果是则添加 Bearer 前缀
-            if (key === 'Authorization') {
-                headers[key] = `Bearer ${token}`
-            } else {
-                headers[key] = token
+    const converted = {}
+    for (const [key, value] of Object.entries(schema)) {
+        if (key === 'type' && typeof value === 'string') {
+            converted.type = value.toLowerCase()
+        } else if (key === 'properties' && value && typeof value === 'object') {
+            converted.properties = {}
+            for (const [name, property] of Object.entries(value)) {
+                converted.properties[name] = geminiSchemaToJsonSchema(property)
             }
-        } else if (value.includes('{token}')) {
-            // 替换 {token} 占位符
-            headers[key] = value.replace('{token}', token)
-        } else if (format === 'gemini' && key === 'x-goog-api-key') {
-            headers[key] = token
         } else {
-            headers[key] = value
+            converted[key] = typeof value === 'object' ? geminiSchemaToJsonSchema(value) : value
         }
     }
+    return converted
+}
+
+/**
+ * 将标准格式 response_format 转换为 Gemini generationConfig 字段
+ * @param {object} responseFormat - 标准格式 response_format
+ * @returns {object} - { responseMimeType, responseSchema }
+ */
+function standardResponseFormatToGemini(responseFormat) {
+    if (!responseFormat || responseFormat.type === 'text') {
+        return {}
+    }
+    const schema = responseFormat.json_schema?.schema
+    return schema
+        ? { responseMimeType: 'application/json', responseSchema: cleanGeminiSchema(schema) }
+        : { responseMimeType: 'application/json' }
+}
+
+/**
+ * 构建模拟结构化输出的 Claude 工具
+ * 工具的 input_schema 必须是 object，其他类型的 schema 包装在 value 属性中
+ * @param {object} responseFormat - 标准格式 response_format
+ * @returns {object} - { tool, wrapped }
+ */
+function standardResponseFormatToAnthropicTool(responseFormat) {
+    const jsonSchema = responseFormat.json_schema || {}
+    const schema = jsonSchema.schema || { type: 'object' }
+    const wrapped = schema.type !== 'object'
+    return {
+        tool: {
+            name: STRUCTURED_OUTPUT_TOOL_NAME,
+            description: jsonSchema.description || 'Respond to the user with structured JSON output by calling this tool.',
+            input_schema: wrapped
+                ? { type: 'object', properties: { value: schema }, required: ['value'] }
+                : schema
+        },
+        wrapped: wrapped
+    }
+}
+
+/**
+ * 将模拟结构化输出的工具调用还原为 JSON 文本内容
+ * @param {object} standard - 标准格式响应
+ * @param {object} structuredOutput - 结构化输出模拟信息 { toolName, wrapped }
+ * @returns {object} - 还原后的标准格式响应
+ */
+function unwrapStructuredOutput(standard, structuredOutput) {
+    return {
+        ...standard,
+        choices: standard.choices.map(choice => {
+            const toolCalls = choice.message?.tool_calls || []
+            const outputCall = toolCalls.find(toolCall => toolCall.function?.name === structuredOutput.toolName)
+            if (!outputCall) {
+                return choice
+            }
+            const otherCalls = toolCalls.filter(toolCall => toolCall !== outputCall)
+            const { tool_calls, ...message } = choice.message
+            message.content = structuredOutput.wrapped
+                ? JSON.stringify(parseToolArguments(outputCall.function.arguments).value ?? null)
+                : outputCall.function.arguments
+            if (otherCalls.length > 0) {
+                message.tool_calls = otherCalls
+            }
+            return {
+                ...choice,
+                message: message,
+                finish_reason: choice.finish_reason === 'tool_calls' && otherCalls.length === 0 ? 'stop' : choice.finish_reason
+            }
+        })
+    }
+}
+
+/**
+ * 将流式数据块中模拟结构化输出的工具调用增量还原为文本增量
+ * 包装过的 schema 无法逐段还原，参数累积到结束时一次输出
+ * @param {object} standard - 标准格式数据块
+ * @param {object} state - 流转换状态
+ * @returns {object} - 还原后的标准格式数据块
+ */
+function unwrapStructuredOutputChunk(standard, state) {
+    const structuredOutput = state.context.structuredOutput
+    if (!standard.choices) {
+        return standard
+    }
     
-    // 对于 Anthropic 格式，添加额外的请求头支持
-    if (format === 'anthropic' && originalRequest) {
-        const anthropicBeta = originalRequest.headers.get('anthropic-beta')
-        if (anthropicBeta) {
-            headers['anthropic-beta'] = anthropicBeta
+    const choices = standard.choices.map(choice => {
+        const { tool_calls, ...delta } = choice.delta || {}
+        const otherCalls = []
+        for (const toolCall of tool_calls || []) {
+            if (toolCall.function?.name === structuredOutput.toolName) {
+                state.structuredToolIndex = toolCall.index
+            }
+            if (toolCall.index !== state.structuredToolIndex) {
+                state.hasOtherToolCalls = true
+                otherCalls.push(toolCall)
+                continue
+            }
+            const args = toolCall.function?.arguments || ''
+            if (structuredOutput.wrapped) {
+                state.structuredArguments += args
+            } else if (args) {
+                delta.content = (delta.content || '') + args
+            }
+        }
+        if (otherCalls.length > 0) {
+            delta.tool_calls = otherCalls
         }
         
-        const cacheControl = originalRequest.headers.get('cache-control')
-        if (cacheControl) {
-            headers['cache-control'] = cacheControl
+        let finishReason = choice.finish_reason
+        if (finishReason && state.structuredToolIndex !== null) {
+            if (structuredOutput.wrapped) {
+                delta.content = (delta.content || '') + JSON.stringify(parseToolArguments(state.structuredArguments).value ?? null)
+            }
+            if (finishReason === 'tool_calls' && !state.hasOtherToolCalls) {
+                finishReason = 'stop'
+            }
+        }
+        return { ...choice, delta: delta, finish_reason: finishReason }
+    })
+    return { ...standard, choices }
+}
+
+/**
+ * 按 JSON Schema 校验数据（支持常用关键字）
+ * @param {*} value - 待校验的数据
+ * @param {object} schema - JSON Schema
+ * @param {string} path - 当前数据路径
+ * @returns {string|null} - 第一个不匹配的错误信息，匹配时返回 null
+ */
+function validateJsonSchema(value, schema, path = '$') {
+    if (!schema || typeof schema !== 'object') {
+        return null
+    }
+    
+    if (schema.anyOf || schema.oneOf) {
+        const candidates = schema.anyOf || schema.oneOf
+        if (!candidates.some(candidate => validateJsonSchema(value, candidate, path) === null)) {
+            return `${path} does not match any allowed schema`
+        }
+    }
+    if (schema.enum && !schema.enum.some(item => JSON.stringify(item) === JSON.stringify(value))) {
+        return `${path} must be one of ${JSON.stringify(schema.enum)}`
+    }
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+        const actualType = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value
+        const matched = types.some(type =>
+            type === actualType ||
+            (type === 'integer' && Number.isInteger(value)) ||
+            (type === 'null' && schema.nullable)
+        ) || (value === null && schema.nullable)
+        if (!matched) {
+            return `${path} must be of type ${types.join(' or ')}`
         }
     }
     
-    return headers
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        for (const name of schema.required || []) {
+            if (!(name in value)) {
+                return `${path}.${name} is required`
+            }
+        }
+        for (const [name, item] of Object.entries(value)) {
+            const propertySchema = schema.properties?.[name]
+            if (propertySchema) {
+                const error = validateJsonSchema(item, propertySchema, `${path}.${name}`)
+                if (error) return error
+            } else if (schema.additionalProperties === false) {
+                return `${path}.${name} is not allowed`
+            } else if (typeof schema.additionalProperties === 'object') {
+                const error = validateJsonSchema(item, schema.additionalProperties, `${path}.${name}`)
+                if (error) return error
+            }
+        }
+    }
+    if (Array.isArray(value) && schema.items) {
+        for (let i = 0; i < value.length; i++) {
+            const error = validateJsonSchema(value[i], schema.items, `${path}[${i}]`)
+            if (error) return error
+        }
+    }
+    return null
 }
 
 /**
- * 转换请求格式
- * @param {object} requestBody - 原始请求体
- * @param {string} sourceFormat - 源格式
- * @param {string} targetFormat - 目标格式
- * @param {Request} originalRequest - 原始请求对象
- * @param {string} platform - 目标平台
- * @returns {object} - 转换后的请求体
+ * 校验结构化输出响应（仅在 json_schema 设置 strict: true 时校验）
+ * @param {object} standard - 标准格式响应
+ * @param {object} responseFormat - 标准格式 response_format
+ * @throws {ConversionError} - 响应内容不是合法 JSON 或不符合 schema
  */
-function convertRequest(requestBody, sourceFormat, targetFormat, originalRequest = null, platform = null) {
-    // 首先统一转换为标准格式
-    const standardRequest = toStandardFormat(requestBody, sourceFormat)
+function validateStructuredOutput(standard, responseFormat) {
+    if (responseFormat?.type !== 'json_schema' || !responseFormat.json_schema?.strict) {
+        return
+    }
     
-    // 然后从标准格式转换为目标格式
-    return fromStandardFormat(standardRequest, targetFormat, originalRequest, platform)
+    for (const choice of standard.choices) {
+        // 被截断或调用了其他工具的结果不做校验
+        if (choice.finish_reason !== 'stop' || typeof choice.message?.content !== 'string') continue
+        let value
+        try {
+            value = JSON.parse(choice.message.content)
+        } catch (e) {
+            throw new ConversionError('Upstream response is not valid JSON', 502)
+        }
+        const error = validateJsonSchema(value, responseFormat.json_schema.schema)
+        if (error) {
+            throw new ConversionError(`Upstream response does not match the requested JSON schema: ${error}`, 502)
+        }
+    }
+}
+
+// 推理强度与思考预算（token）的对应关系
+const REASONING_EFFORT_BUDGETS = {
+    minimal: 1024,
+    low: 2048,
+    medium: 8192,
+    high: 24576
 }
 
 /**
- * 转换为标准格式
- * @param {object} request - 原始请求
- * @param {string} sourceFormat - 源格式
- * @returns {object} - 标准格式请求
+ * 将推理强度转换为思考预算
+ * @param {string} effort - 推理强度
+ * @returns {number} - 思考预算
  */
-function toStandardFormat(request, sourceFormat) {
-    const standard = {
-        messages: [],
-        model: request.model || '',
-        max_tokens: request.max_tokens || 2048,
-        temperature: request.temperature || 0.7,
-        stream: request.stream || false
-    }
+function reasoningEffortToBudget(effort) {
+    return REASONING_EFFORT_BUDGETS[effort] || REASONING_EFFORT_BUDGETS.medium
+}
 
-    switch (sourceFormat) {
-        case 'openai':
-        case 'openrouter':
-            standard.messages = request.messages || []
-            standard.model = request.model || ''
-            standard.max_tokens = request.max_tokens || 2048
-            standard.temperature = request.temperature || 0.7
-            standard.stream = request.stream || false
-            break
+/**
+ * 将思考预算转换为推理强度
+ * @param {number} budget - 思考预算
+ * @returns {string} - 推理强度
+ */
+function reasoningBudgetToEffort(budget) {
+    if (!budget) return 'medium'
+    if (budget <= REASONING_EFFORT_BUDGETS.low) return 'low'
+    if (budget <= REASONING_EFFORT_BUDGETS.medium) return 'medium'
+    return 'high'
+}
 
-        case 'anthropic':
-            standard.messages = request.messages || []
-            standard.model = request.model || ''
-            standard.max_tokens = request.max_tokens || 2048
-            standard.temperature = request.temperature || 0.7
-            standard.stream = request.stream || false
-            // Claude特有的系统消息处理
-            if (request.system) {
-                standard.system = request.system
-            }
-            break
+/**
+ * 将 OpenAI / OpenRouter 的推理参数转换为标准格式
+ * @param {object} request - OpenAI 格式请求
+ * @returns {object|undefined} - 标准格式推理配置
+ */
+function openaiReasoningToStandard(request) {
+    // OpenRouter 风格：reasoning: { effort, max_tokens, enabled, exclude }
+    if (request.reasoning && typeof request.reasoning === 'object') {
+        return {
+            enabled: request.reasoning.enabled !== false,
+            effort: request.reasoning.effort,
+            budget_tokens: request.reasoning.max_tokens
+        }
+    }
+    if (request.reasoning_effort) {
+        return request.reasoning_effort === 'none'
+            ? { enabled: false }
+            : { enabled: true, effort: request.reasoning_effort }
+    }
+    return undefined
+}
 
-        case 'gemini':
-            // Gemini格式转换
-            if (request.contents) {
-                standard.messages = request.contents.map(content => ({
-                    role: content.role === 'user' ? 'user' : 'assistant',
-                    content: content.parts.map(part => part.text).join('')
-                }))
-            }
-            if (request.generationConfig) {
-                standard.max_tokens = request.generationConfig.maxOutputTokens || 2048
-                standard.temperature = request.generationConfig.temperature || 0.7
-            }
-            // 从请求内容中推断模型
-            if (!standard.model) {
-                standard.model = 'gemini-pro' // 默认模型
-            }
-            break
+/**
+ * 将 Gemini thinkingConfig 转换为标准格式推理配置
+ * @param {object} thinkingConfig - Gemini thinkingConfig
+ * @returns {object} - 标准格式推理配置
+ */
+function geminiThinkingConfigToStandard(thinkingConfig) {
+    const budget = thinkingConfig.thinkingBudget
+    if (budget === 0) {
+        return { enabled: false }
     }
+    // -1 表示由模型动态决定预算
+    return {
+        enabled: true,
+        budget_tokens: budget > 0 ? budget : undefined,
+        effort: thinkingConfig.thinkingLevel?.toLowerCase()
+    }
+}
 
-    return standard
+/**
+ * 将标准格式推理配置转换为 OpenAI 格式平台的参数
+ * 统一使用 reasoning_effort，平台的其他写法（如 OpenRouter 的 reasoning 对象）由参数策略转换
+ * @param {object} reasoning - 标准格式推理配置
+ * @returns {object} - 需要合并到请求中的参数
+ */
+function standardReasoningToOpenAI(reasoning) {
+    if (!reasoning.enabled) {
+        return {}
+    }
+    return { reasoning_effort: reasoning.effort || reasoningBudgetToEffort(reasoning.budget_tokens) }
 }
 
+// Claude 每个请求最多可以设置的缓存断点数量
+const MAX_CACHE_BREAKPOINTS = 4
+
 /**
- * 检查是否为 Claude 模型
+ * 判断目标是否支持 prompt caching（cache_control 缓存断点）
+ * Claude 格式的平台，以及 OpenRouter 上的 Claude 模型支持
+ * @param {object} config - 平台配置
+ * @param {string} platform - 平台名称
  * @param {string} model - 模型名称
- * @returns {boolean} - 是否为 Claude 模型
+ * @returns {boolean} - 是否支持
  */
-function isClaudeModel(model) {
-    if (!model) return false
-    const modelLower = model.toLowerCase()
-    return modelLower.includes('claude') || modelLower.includes('anthropic')
+function supportsPromptCaching(config, platform, model) {
+    return config.format === 'anthropic' || (platform === 'openrouter' && isClaudeModel(model))
 }
 
 /**
- * 从标准格式转换为目标格式
- * @param {object} standard - 标准格式请求
- * @param {string} targetFormat - 目标格式
- * @param {Request} originalRequest - 原始请求对象，用于获取额外信息
- * @param {string} platform - 目标平台
- * @returns {object} - 目标格式请求
+ * 按目标处理请求中的缓存断点
+ * - 目标支持缓存时保留客户端设置的断点（包括 ttl 为 1h 的断点，超过 MAX_CACHE_BREAKPOINTS 时只保留最后几个），并按平台配置的 promptCache 自动添加断点：
+ *   依次为工具定义、系统提示和最近 N 轮用户消息，总数不超过 MAX_CACHE_BREAKPOINTS，已有断点的位置不重复添加
+ * - 目标不支持缓存时移除所有 cache_control，避免上游报错
+ * OpenRouter 没有配置 promptCache 时，沿用 anthropic-beta: prompt-caching 请求头为最后一条用户消息添加断点
+ * @param {object} body - 平台格式的请求体
+ * @param {string} format - 平台格式
+ * @param {string} platform - 平台名称
+ * @param {Request} request - 客户端请求
+ * @returns {object} - 处理后的请求体
  */
-function fromStandardFormat(standard, targetFormat, originalRequest = null, platform = null) {
-    switch (targetFormat) {
-        case 'openai':
-        case 'openrouter':
-            const openaiRequest = {
-                model: standard.model,
-                messages: standard.messages,
-                max_tokens: standard.max_tokens,
-                temperature: standard.temperature,
-                stream: standard.stream
-            }
-            
-            // 对于 groq 平台，限制 max_tokens 不超过 16384
-            if (platform === 'groq') {
-                // groq 平台的 max_tokens 限制为 16384
-                openaiRequest.max_tokens = Math.min(openaiRequest.max_tokens, 16384)
-            }
-            
-            // 对于 OpenRouter 平台，根据模型类型处理 cache_control
-            if (platform === 'openrouter') {
-                // 清理所有消息中的 cache_control（无论是否为 Claude 模型）
-                openaiRequest.messages = removeCacheControlFromMessages(openaiRequest.messages)
-                
-                // 只有 Claude 模型且有 anthropic-beta 请求头时才添加 cache_control
-                if (originalRequest) {
-                    const anthropicBeta = originalRequest.headers.get('anthropic-beta')
-                    if (anthropicBeta && anthropicBeta.includes('prompt-caching') && isClaudeModel(standard.model)) {
-                        openaiRequest.messages = addCacheControlToMessages(openaiRequest.messages)
-                    }
-                }
-            }
-            
-            return openaiRequest
-
-        case 'anthropic':
-            const anthropicRequest = {
-                model: standard.model,
-                messages: standard.messages,
-                max_tokens: standard.max_tokens,
-                temperature: standard.temperature,
-                stream: standard.stream
-            }
-            
-            // 处理系统消息
-            if (standard.system) {
-                anthropicRequest.system = standard.system
-            } else {
-                // 如果有系统消息在messages中，提取出来
-                const systemMessage = standard.messages.find(msg => msg.role === 'system')
-                if (systemMessage) {
-                    anthropicRequest.system = systemMessage.content
-                    anthropicRequest.messages = standard.messages.filter(msg => msg.role !== 'system')
-                }
+function applyPromptCaching(body, format, platform, request) {
+    // Gemini 使用独立的缓存接口，转换时已经去掉 cache_control
+    if (format === 'gemini') {
+        return body
+    }
+    
+    const config = getPlatformConfig(platform)
+    if (!supportsPromptCaching(config, platform, body.model)) {
+        return format === 'openai' ? removeCacheControl(body) : body
+    }
+    
+    body = { ...body }
+    if (format === 'openai') {
+        // OpenAI 格式只能在内容部分上设置断点（工具定义之后紧接系统提示，系统提示的断点同时缓存工具定义）
+        body.messages = (body.messages || []).map(({ cache_control, ...message }) => cache_control
+            ? { ...message, content: withCacheControl(message.content, cache_control) }
+            : message)
+        if (body.tools) {
+            body.tools = body.tools.map(({ cache_control, ...tool }) => tool)
+        }
+    }
+    body = limitCacheBreakpoints(body)
+    
+    const anthropicBeta = request?.headers.get('anthropic-beta') || ''
+    const options = config.promptCache ||
+        (platform === 'openrouter' && anthropicBeta.includes('prompt-caching') ? { turns: 1 } : null)
+    if (!options) {
+        return body
+    }
+    
+    const cacheControl = options.ttl && options.ttl !== '5m'
+        ? { type: 'ephemeral', ttl: options.ttl }
+        : { type: 'ephemeral' }
+    let remaining = MAX_CACHE_BREAKPOINTS - countCacheBreakpoints(body)
+    
+    if (options.tools && format === 'anthropic' && body.tools?.length > 0 && remaining > 0) {
+        const lastTool = body.tools[body.tools.length - 1]
+        if (!lastTool.cache_control) {
+            body.tools = [...body.tools.slice(0, -1), { ...lastTool, cache_control: cacheControl }]
+            remaining--
+        }
+    }
+    
+    if (options.system && remaining > 0) {
+        if (format === 'anthropic' && body.system) {
+            const system = withCacheControl(body.system, cacheControl)
+            if (system !== body.system) {
+                body.system = system
+                remaining--
             }
-            
-            return anthropicRequest
-
-        case 'gemini':
-            const contents = standard.messages.map(msg => ({
-                role: msg.role === 'user' ? 'user' : 'model',
-                parts: [{ text: msg.content }]
-            }))
-
-            return {
-                contents: contents,
-                generationConfig: {
-                    maxOutputTokens: standard.max_tokens,
-                    temperature: standard.temperature
+        } else if (format === 'openai') {
+            // 开头连续的系统消息中的最后一条
+            const systemCount = body.messages.findIndex(message => message.role !== 'system' && message.role !== 'developer')
+            const index = (systemCount === -1 ? body.messages.length : systemCount) - 1
+            if (index >= 0) {
+                const content = withCacheControl(body.messages[index].content, cacheControl)
+                if (content !== body.messages[index].content) {
+                    body.messages = body.messages.map((message, i) => i === index ? { ...message, content } : message)
+                    remaining--
                 }
             }
+        }
+    }
+    
+    // 每轮用户输入（连续的用户消息和工具结果）的最后一条消息，最近的优先
+    const isUserTurn = message => message?.role === 'user' || message?.role === 'tool'
+    const turnIndexes = body.messages
+        .map((message, i) => isUserTurn(message) && !isUserTurn(body.messages[i + 1]) ? i : -1)
+        .filter(i => i >= 0)
+        .reverse()
+        .slice(0, options.turns || 0)
+    for (const index of turnIndexes) {
+        if (remaining <= 0) break
+        const content = withCacheControl(body.messages[index].content, cacheControl)
+        if (content !== body.messages[index].content) {
+            body.messages = body.messages.map((message, i) => i === index ? { ...message, content } : message)
+            remaining--
+        }
+    }
+    
+    return body
+}
 
-        default:
-            return standard
+/**
+ * 为消息内容的最后一个内容块设置缓存断点
+ * 字符串内容转换为文本块数组；最后一个可缓存的内容块已有断点或内容为空时返回原内容
+ * @param {string|Array} content - 消息内容或 Claude 的系统提示
+ * @param {object} cacheControl - cache_control 对象
+ * @returns {string|Array} - 设置断点后的内容
+ */
+function withCacheControl(content, cacheControl) {
+    if (typeof content === 'string') {
+        return content ? [{ type: 'text', text: content, cache_control: cacheControl }] : content
     }
+    if (!Array.isArray(content)) {
+        return content
+    }
+    
+    // 思考块不能设置断点
+    const index = content.findLastIndex(block => block.type !== 'thinking' && block.type !== 'redacted_thinking')
+    if (index === -1 || content[index].cache_control) {
+        return content
+    }
+    return content.map((block, i) => i === index ? { ...block, cache_control: cacheControl } : block)
 }
 
 /**
- * 为消息添加 cache_control 支持
- * @param {Array} messages - 消息数组
- * @returns {Array} - 添加了 cache_control 的消息数组
+ * 统计请求中已有的缓存断点数量（工具定义、系统提示和消息内容块）
+ * @param {object} body - Claude 或 OpenAI 格式的请求体
+ * @returns {number} - 断点数量
  */
-function addCacheControlToMessages(messages) {
-    if (!messages || messages.length === 0) {
-        return messages
+function countCacheBreakpoints(body) {
+    const blocks = [
+        ...(body.tools || []),
+        ...(Array.isArray(body.system) ? body.system : []),
+        ...(body.messages || []).flatMap(message => Array.isArray(message.content) ? message.content : [])
+    ]
+    return blocks.filter(block => block.cache_control).length
+}
+
+/**
+ * 客户端设置的断点超过 MAX_CACHE_BREAKPOINTS 时，按工具定义、系统提示、消息的顺序移除前面的断点，只保留最后几个
+ * @param {object} body - Claude 或 OpenAI 格式的请求体
+ * @returns {object} - 处理后的请求体
+ */
+function limitCacheBreakpoints(body) {
+    let excess = countCacheBreakpoints(body) - MAX_CACHE_BREAKPOINTS
+    if (excess <= 0) {
+        return body
     }
     
-    // 复制消息数组
-    const modifiedMessages = [...messages]
-    
-    // 为最后一条用户消息添加 cache_control
-    for (let i = modifiedMessages.length - 1; i >= 0; i--) {
-        const message = modifiedMessages[i]
-        if (message.role === 'user') {
-            // 如果内容是字符串，转换为数组格式
-            if (typeof message.content === 'string') {
-                modifiedMessages[i] = {
-                    ...message,
-                    content: [
-                        {
-                            type: 'text',
-                            text: message.content,
-                            cache_control: {
-                                type: 'ephemeral'
-                            }
-                        }
-                    ]
-                }
-            } else if (Array.isArray(message.content)) {
-                // 如果内容是数组，为最后一个文本部分添加 cache_control
-                const content = [...message.content]
-                const lastTextIndex = content.length - 1
-                if (lastTextIndex >= 0 && content[lastTextIndex].type === 'text') {
-                    content[lastTextIndex] = {
-                        ...content[lastTextIndex],
-                        cache_control: {
-                            type: 'ephemeral'
-                        }
-                    }
-                }
-                modifiedMessages[i] = {
-                    ...message,
-                    content: content
-                }
-            }
-            break
+    const strip = block => {
+        if (excess <= 0 || !block.cache_control) {
+            return block
         }
+        excess--
+        const { cache_control, ...rest } = block
+        return rest
     }
-    
-    return modifiedMessages
+    const limited = { ...body }
+    if (body.tools) {
+        limited.tools = body.tools.map(strip)
+    }
+    if (Array.isArray(body.system)) {
+        limited.system = body.system.map(strip)
+    }
+    limited.messages = (body.messages || []).map(message => Array.isArray(message.content)
+        ? { ...message, content: message.content.map(strip) }
+        : message)
+    return limited
+}
+
+/**
+ * 移除 OpenAI 格式请求中的 cache_control（消息内容块、消息和工具定义）
+ * @param {object} body - OpenAI 格式的请求体
+ * @returns {object} - 移除了 cache_control 的请求体
+ */
+function removeCacheControl(body) {
+    const cleaned = {
+        ...body,
+        messages: removeCacheControlFromMessages(body.messages)
+    }
+    if (body.tools) {
+        cleaned.tools = body.tools.map(({ cache_control, ...tool }) => tool)
+    }
+    return cleaned
 }
 
 /**
@@ -649,7 +4022,7 @@ function removeCacheControlFromMessages(messages) {
         return messages
     }
     
-    return messages.map(message => {
+    return messages.map(({ cache_control, ...message }) => {
         // 如果 content 是字符串，直接返回
         if (typeof message.content === 'string') {
             return message
@@ -674,21 +4047,126 @@ function removeCacheControlFromMessages(messages) {
     })
 }
 
+// 结束原因映射表：标准格式（OpenAI）与 Claude / Gemini 之间的对应关系
+const FINISH_REASON_MAPPINGS = {
+    openai: {
+        toStandard: {
+            function_call: 'tool_calls'
+        },
+        fromStandard: {}
+    },
+    anthropic: {
+        toStandard: {
+            end_turn: 'stop',
+            stop_sequence: 'stop',
+            pause_turn: 'stop',
+            max_tokens: 'length',
+            model_context_window_exceeded: 'length',
+            tool_use: 'tool_calls',
+            refusal: 'content_filter'
+        },
+        fromStandard: {
+            stop: 'end_turn',
+            length: 'max_tokens',
+            tool_calls: 'tool_use',
+            function_call: 'tool_use',
+            content_filter: 'refusal'
+        }
+    },
+    gemini: {
+        toStandard: {
+            STOP: 'stop',
+            MAX_TOKENS: 'length',
+            SAFETY: 'content_filter',
+            RECITATION: 'content_filter',
+            LANGUAGE: 'content_filter',
+            BLOCKLIST: 'content_filter',
+            PROHIBITED_CONTENT: 'content_filter',
+            SPII: 'content_filter',
+            IMAGE_SAFETY: 'content_filter',
+            FUNCTION_CALL: 'tool_calls',
+            MALFORMED_FUNCTION_CALL: 'stop',
+            UNEXPECTED_TOOL_CALL: 'stop',
+            OTHER: 'stop',
+            FINISH_REASON_UNSPECIFIED: 'stop'
+        },
+        // Gemini 的函数调用以 STOP 结束，调用信息体现在 functionCall 部分中
+        fromStandard: {
+            stop: 'STOP',
+            length: 'MAX_TOKENS',
+            tool_calls: 'STOP',
+            function_call: 'STOP',
+            content_filter: 'SAFETY'
+        }
+    }
+}
+FINISH_REASON_MAPPINGS.openrouter = FINISH_REASON_MAPPINGS.openai
+
+/**
+ * 将源格式的结束原因转换为标准格式
+ * @param {string|null} reason - 源格式结束原因
+ * @param {string} sourceFormat - 源格式
+ * @returns {string|null} - 标准格式结束原因，未结束时返回 null
+ */
+function finishReasonToStandard(reason, sourceFormat) {
+    if (!reason) return null
+    const mapping = FINISH_REASON_MAPPINGS[sourceFormat]?.toStandard || {}
+    if (mapping[reason]) return mapping[reason]
+    // OpenAI 兼容平台的取值原样保留，其他格式的未知取值按正常结束处理
+    return FINISH_REASON_MAPPINGS[sourceFormat] === FINISH_REASON_MAPPINGS.openai ? reason : 'stop'
+}
+
+/**
+ * 将标准格式的结束原因转换为目标格式
+ * @param {string|null} reason - 标准格式结束原因
+ * @param {string} targetFormat - 目标格式
+ * @param {string} [stopSequence] - 命中的停止序列
+ * @returns {string|null} - 目标格式结束原因
+ */
+function finishReasonFromStandard(reason, targetFormat, stopSequence) {
+    if (!reason) return null
+    // Claude 用 stop_sequence 区分因停止序列而结束的情况
+    if (targetFormat === 'anthropic' && reason === 'stop' && typeof stopSequence === 'string') {
+        return 'stop_sequence'
+    }
+    const mapping = FINISH_REASON_MAPPINGS[targetFormat]?.fromStandard || {}
+    if (mapping[reason]) return mapping[reason]
+    return FINISH_REASON_MAPPINGS[targetFormat] === FINISH_REASON_MAPPINGS.openai ? reason : mapping.stop
+}
+
 /**
  * 转换响应格式
  * @param {object} response - 原始响应
  * @param {string} sourceFormat - 源格式
  * @param {string} targetFormat - 目标格式
+ * @param {object} context - 请求上下文（由 convertRequest 记录）
  * @returns {object} - 转换后的响应
  */
-function convertResponse(response, sourceFormat, targetFormat) {
+function convertResponse(response, sourceFormat, targetFormat, context = {}) {
     // 首先转换为标准格式
-    const standardResponse = responseToStandardFormat(response, sourceFormat)
+    const standardResponse = convertResponseToStandard(response, sourceFormat, context)
     
     // 然后从标准格式转换为目标格式
     return responseFromStandardFormat(standardResponse, targetFormat)
 }
 
+/**
+ * 将响应转换为标准格式，还原模拟的结构化输出并按需校验
+ * @param {object} response - 原始响应
+ * @param {string} sourceFormat - 源格式
+ * @param {object} context - 请求上下文（structuredOutput、responseFormat）
+ * @returns {object} - 标准格式响应
+ */
+function convertResponseToStandard(response, sourceFormat, context = {}) {
+    let standardResponse = responseToStandardFormat(response, sourceFormat)
+    
+    if (context.structuredOutput) {
+        standardResponse = unwrapStructuredOutput(standardResponse, context.structuredOutput)
+    }
+    validateStructuredOutput(standardResponse, context.responseFormat)
+    return standardResponse
+}
+
 /**
  * 响应转换为标准格式
  * @param {object} response - 原始响应
@@ -712,47 +4190,218 @@ function responseToStandardFormat(response, sourceFormat) {
     switch (sourceFormat) {
         case 'openai':
         case 'openrouter':
-            return response // OpenAI格式就是标准格式
+            // OpenAI格式就是标准格式，只需统一推理内容和用量字段
+            return {
+                ...response,
+                choices: (response.choices || []).map(choice => ({
+                    ...choice,
+                    message: normalizeOpenAIReasoning(choice.message),
+                    finish_reason: finishReasonToStandard(choice.finish_reason, sourceFormat)
+                })),
+                usage: usageToStandard(response.usage, sourceFormat) || standard.usage
+            }
 
         case 'anthropic':
             standard.id = response.id || ''
             standard.model = response.model || ''
+            const anthropicMessage = anthropicMessagesToStandard([{
+                role: 'assistant',
+                content: response.content || []
+            }])[0]
             standard.choices = [{
                 index: 0,
                 message: {
-                    role: 'assistant',
-                    content: response.content?.[0]?.text || ''
+                    ...anthropicMessage,
+                    content: anthropicMessage.content || (anthropicMessage.tool_calls ? null : '')
                 },
-                finish_reason: response.stop_reason || 'stop'
+                finish_reason: finishReasonToStandard(response.stop_reason, sourceFormat) || 'stop',
+                stop_sequence: response.stop_sequence ?? undefined
             }]
-            standard.usage = {
-                prompt_tokens: response.usage?.input_tokens || 0,
-                completion_tokens: response.usage?.output_tokens || 0,
-                total_tokens: (response.usage?.input_tokens || 0) + (response.usage?.output_tokens || 0)
-            }
+            standard.usage = usageToStandard(response.usage, sourceFormat) || standard.usage
             break
 
         case 'gemini':
-            standard.id = 'gemini-' + Date.now()
-            standard.model = 'gemini'
-            if (response.candidates && response.candidates.length > 0) {
-                const candidate = response.candidates[0]
-                standard.choices = [{
-                    index: 0,
-                    message: {
-                        role: 'assistant',
-                        content: candidate.content?.parts?.[0]?.text || ''
-                    },
-                    finish_reason: candidate.finishReason?.toLowerCase() || 'stop'
-                }]
-            }
-            // Gemini通常不返回token使用情况
+            standard.id = response.responseId || 'gemini-' + Date.now()
+            standard.model = response.modelVersion || 'gemini'
+            // 每个 candidate 对应一个 choice
+            standard.choices = (response.candidates || []).map((candidate, i) => {
+                const geminiMessage = geminiContentsToStandard([{
+                    role: 'model',
+                    parts: candidate.content?.parts || []
+                }])[0]
+                // Gemini 没有专门的工具调用结束原因，根据是否包含 functionCall 判断
+                const hasFunctionCall = geminiMessage.tool_calls && geminiMessage.tool_calls.length > 0
+                return {
+                    index: candidate.index ?? i,
+                    message: geminiMessage,
+                    finish_reason: hasFunctionCall
+                        ? 'tool_calls'
+                        : (finishReasonToStandard(candidate.finishReason, sourceFormat) || 'stop')
+                }
+            })
+            standard.usage = usageToStandard(response.usageMetadata, sourceFormat) || standard.usage
             break
     }
 
     return standard
 }
 
+/**
+ * 将各格式的用量转换为标准格式（OpenAI usage）
+ * 标准格式的 prompt_tokens 包括缓存命中和写入缓存的 token（Claude 的 input_tokens 不包括），
+ * completion_tokens 包括推理 token（Gemini 的 candidatesTokenCount 不包括）
+ * @param {object} usage - 原始用量（OpenAI usage、Claude usage 或 Gemini usageMetadata）
+ * @param {string} sourceFormat - 源格式
+ * @returns {object|null} - 标准格式用量，没有用量时返回 null
+ */
+function usageToStandard(usage, sourceFormat) {
+    if (!usage) {
+        return null
+    }
+    
+    let standard
+    let cached
+    let cacheCreation
+    let reasoning
+    switch (sourceFormat) {
+        case 'anthropic':
+            cached = usage.cache_read_input_tokens || 0
+            cacheCreation = usage.cache_creation_input_tokens || 0
+            reasoning = 0
+            standard = {
+                prompt_tokens: (usage.input_tokens || 0) + cached + cacheCreation,
+                completion_tokens: usage.output_tokens || 0
+            }
+            // 按缓存有效期（5 分钟 / 1 小时）区分的写入缓存用量
+            if (usage.cache_creation) {
+                standard.prompt_tokens_details = { cache_creation: usage.cache_creation }
+            }
+            break
+            
+        case 'gemini':
+            cached = usage.cachedContentTokenCount || 0
+            cacheCreation = 0
+            reasoning = usage.thoughtsTokenCount || 0
+            standard = {
+                prompt_tokens: (usage.promptTokenCount || 0) + (usage.toolUsePromptTokenCount || 0),
+                completion_tokens: (usage.candidatesTokenCount || 0) + reasoning,
+                total_tokens: usage.totalTokenCount
+            }
+            break
+            
+        default:
+            // DeepSeek 使用 prompt_cache_hit_tokens，OpenRouter 使用 cache_write_tokens 表示写入缓存
+            cached = usage.prompt_tokens_details?.cached_tokens ?? usage.prompt_cache_hit_tokens ?? 0
+            cacheCreation = usage.prompt_tokens_details?.cache_creation_tokens ?? usage.prompt_tokens_details?.cache_write_tokens ?? 0
+            reasoning = usage.completion_tokens_details?.reasoning_tokens || 0
+            standard = {
+                ...usage,
+                prompt_tokens: usage.prompt_tokens || 0,
+                completion_tokens: usage.completion_tokens || 0
+            }
+    }
+    
+    standard.total_tokens = standard.total_tokens || standard.prompt_tokens + standard.completion_tokens
+    standard.prompt_tokens_details = { ...standard.prompt_tokens_details, cached_tokens: cached }
+    if (cacheCreation) {
+        standard.prompt_tokens_details.cache_creation_tokens = cacheCreation
+    }
+    standard.completion_tokens_details = { ...standard.completion_tokens_details, reasoning_tokens: reasoning }
+    return standard
+}
+
+/**
+ * 将标准格式用量转换为目标格式
+ * @param {object} usage - 标准格式用量
+ * @param {string} targetFormat - 目标格式
+ * @returns {object} - 目标格式用量（OpenAI usage、Claude usage 或 Gemini usageMetadata）
+ */
+function usageFromStandard(usage, targetFormat) {
+    usage = usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    const cached = usage.prompt_tokens_details?.cached_tokens || 0
+    const cacheCreation = usage.prompt_tokens_details?.cache_creation_tokens || 0
+    const reasoning = usage.completion_tokens_details?.reasoning_tokens || 0
+    
+    switch (targetFormat) {
+        case 'anthropic':
+            const anthropicUsage = {
+                input_tokens: Math.max(0, usage.prompt_tokens - cached - cacheCreation),
+                cache_creation_input_tokens: cacheCreation,
+                cache_read_input_tokens: cached,
+                output_tokens: usage.completion_tokens
+            }
+            if (usage.prompt_tokens_details?.cache_creation) {
+                anthropicUsage.cache_creation = usage.prompt_tokens_details.cache_creation
+            }
+            return anthropicUsage
+            
+        case 'gemini':
+            const usageMetadata = {
+                promptTokenCount: usage.prompt_tokens,
+                candidatesTokenCount: Math.max(0, usage.completion_tokens - reasoning),
+                totalTokenCount: usage.total_tokens || usage.prompt_tokens + usage.completion_tokens
+            }
+            if (cached) {
+                usageMetadata.cachedContentTokenCount = cached
+            }
+            if (reasoning) {
+                usageMetadata.thoughtsTokenCount = reasoning
+            }
+            return usageMetadata
+            
+        default:
+            return usage
+    }
+}
+
+/**
+ * 将标准格式响应消息转换为 Gemini candidate 的 content
+ * @param {object} message - 标准格式响应消息
+ * @returns {object} - Gemini content
+ */
+function standardResponseMessageToGemini(message = {}) {
+    const geminiContent = standardMessagesToGemini([{
+        role: 'assistant',
+        content: message.content || '',
+        tool_calls: message.tool_calls
+    }])[0]
+    
+    const imageParts = standardContentToGeminiParts(message.images || [])
+    if (imageParts.length > 0) {
+        geminiContent.parts = geminiContent.parts.filter(part => part.text !== '')
+        const firstCall = geminiContent.parts.findIndex(part => part.functionCall)
+        geminiContent.parts.splice(firstCall === -1 ? geminiContent.parts.length : firstCall, 0, ...imageParts)
+    }
+    // 思考内容以 thought: true 的部分返回
+    if (message.reasoning_content) {
+        geminiContent.parts = geminiContent.parts.filter(part => part.text !== '')
+        geminiContent.parts.unshift({ text: message.reasoning_content, thought: true })
+    }
+    return geminiContent
+}
+
+/**
+ * 统一 OpenAI 兼容平台的推理内容字段
+ * OpenRouter 使用 reasoning / reasoning_details，DeepSeek 等使用 reasoning_content
+ * @param {object} message - 消息或流式增量
+ * @returns {object} - 使用 reasoning_content / reasoning_signature 的消息
+ */
+function normalizeOpenAIReasoning(message) {
+    if (!message || (message.reasoning === undefined && message.reasoning_details === undefined)) {
+        return message
+    }
+    
+    const { reasoning, reasoning_details, ...normalized } = message
+    if (reasoning && normalized.reasoning_content === undefined) {
+        normalized.reasoning_content = reasoning
+    }
+    const signature = (reasoning_details || []).find(detail => detail.signature)?.signature
+    if (signature) {
+        normalized.reasoning_signature = signature
+    }
+    return normalized
+}
+
 /**
  * 从标准格式转换为目标响应格式
  * @param {object} standard - 标准格式响应
@@ -763,161 +4412,498 @@ function responseFromStandardFormat(standard, targetFormat) {
     switch (targetFormat) {
         case 'openai':
         case 'openrouter':
-            return standard
+            // 推理内容以 reasoning_content 返回，签名只对 Claude 客户端有意义
+            return {
+                ...standard,
+                choices: standard.choices.map(({ message, stop_sequence, ...choice }) => {
+                    const { reasoning_signature, redacted_reasoning, ...openaiMessage } = message || {}
+                    return { ...choice, message: openaiMessage }
+                })
+            }
 
         case 'anthropic':
-            const choice = standard.choices[0]
+            // Claude 响应只有一条消息，使用第一个 choice
+            const choice = standard.choices.find(item => (item.index ?? 0) === 0) || standard.choices[0]
+            const { reasoning_content, reasoning_signature, redacted_reasoning, images, ...answer } = choice?.message || {}
+            const anthropicContent = choice?.message
+                ? standardMessagesToAnthropic([answer])[0].content
+                : ''
+            const contentBlocks = Array.isArray(anthropicContent)
+                ? anthropicContent
+                : [{ type: 'text', text: anthropicContent || '' }]
+            // 思考内容作为最前面的内容块返回
+            for (const data of [...(redacted_reasoning || [])].reverse()) {
+                contentBlocks.unshift({ type: 'redacted_thinking', data: data })
+            }
+            if (reasoning_content) {
+                contentBlocks.unshift({
+                    type: 'thinking',
+                    thinking: reasoning_content,
+                    signature: reasoning_signature || UNSIGNED_THINKING_SIGNATURE
+                })
+            }
+            // 生成的图片放在文本之后、工具调用之前
+            const imageBlocks = (images || []).map(standardPartToAnthropicBlock)
+            if (imageBlocks.length > 0) {
+                const firstToolUse = contentBlocks.findIndex(block => block.type === 'tool_use')
+                contentBlocks.splice(firstToolUse === -1 ? contentBlocks.length : firstToolUse, 0, ...imageBlocks)
+            }
             return {
                 id: standard.id,
                 type: 'message',
                 role: 'assistant',
-                content: [{
-                    type: 'text',
-                    text: choice?.message?.content || ''
-                }],
+                content: contentBlocks,
                 model: standard.model,
-                stop_reason: choice?.finish_reason || 'end_turn',
-                usage: {
-                    input_tokens: standard.usage.prompt_tokens,
-                    output_tokens: standard.usage.completion_tokens
+                stop_reason: finishReasonFromStandard(choice?.finish_reason || 'stop', targetFormat, choice?.stop_sequence),
+                stop_sequence: choice?.stop_sequence ?? null,
+                usage: usageFromStandard(standard.usage, targetFormat)
+            }
+
+        case 'gemini':
+            // 每个 choice 对应一个 candidate
+            return {
+                candidates: standard.choices.map((geminiChoice, i) => ({
+                    content: standardResponseMessageToGemini(geminiChoice.message),
+                    finishReason: finishReasonFromStandard(geminiChoice.finish_reason || 'stop', targetFormat),
+                    index: geminiChoice.index ?? i
+                })),
+                usageMetadata: usageFromStandard(standard.usage, targetFormat)
+            }
+
+        default:
+            return standard
+    }
+}
+
+/**
+ * 处理流式响应并进行格式转换
+ * @param {Response} response - 原始流式响应
+ * @param {string} sourceFormat - 源格式
+ * @param {string} targetFormat - 目标格式
+ * @param {object} options - 流式输出选项（jsonArray: 以 Gemini 的 JSON 数组形式输出；context: 请求上下文）
+ * @returns {Response} - 转换后的流式响应
+ */
+async function handleStreamResponse(response, sourceFormat, targetFormat, options = {}) {
+    const { readable, writable } = new TransformStream()
+    
+    // 异步处理流式数据
+    processStreamData(response.body, writable.getWriter(), sourceFormat, targetFormat, options)
+    
+    return new Response(readable, {
+        status: response.status,
+        headers: {
+            'Content-Type': options.jsonArray ? 'application/json' : 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+            'Access-Control-Allow-Methods': 'POST, OPTIONS'
+        }
+    })
+}
+
+/**
+ * 处理流式数据转换
+ * 每个流维护独立的状态机：开始 -> 内容块输出 -> 结束，在上游流结束后补齐目标格式的结束事件。
+ * 上游没有输出时定期向客户端发送保活事件；两次数据之间超过空闲超时时以 504 错误事件结束流；
+ * 客户端断开连接时取消上游请求
+ * @param {ReadableStream} inputStream - 输入流
+ * @param {WritableStreamDefaultWriter} writer - 输出写入器
+ * @param {string} sourceFormat - 源格式
+ * @param {string} targetFormat - 目标格式
+ * @param {object} options - 流式输出选项
+ */
+async function processStreamData(inputStream, writer, sourceFormat, targetFormat, options = {}) {
+    const reader = inputStream.getReader()
+    const decoder = new TextDecoder()
+    const parser = createSSEParser()
+    // 每个流独立维护转换状态（工具调用索引、内容块等）
+    const state = createStreamState(options)
+    const timeouts = { ...DEFAULT_TIMEOUTS, ...(options.timeouts || {}) }
+    let clientClosed = false
+    
+    // 客户端断开连接后输出流出错，取消上游请求
+    writer.closed.catch(() => {
+        clientClosed = true
+        options.abortController?.abort()
+        reader.cancel().catch(() => {})
+    })
+    
+    // 上一个间隔内没有任何输出时发送保活事件
+    const keepAlive = setInterval(() => {
+        if (!state.active && !state.closing) {
+            writer.write(new TextEncoder().encode(keepAliveOutput(targetFormat, state))).catch(() => {})
+        }
+        state.active = false
+    }, timeouts.keepAliveMs)
+    
+    try {
+        while (true) {
+            const { done, value } = await readWithTimeout(reader, timeouts.idleMs)
+            if (done) break
+            
+            for (const event of parser.feed(decoder.decode(value, { stream: true }))) {
+                await processStreamEvent(event, writer, sourceFormat, targetFormat, state)
+            }
+        }
+        
+        // 处理最后一个没有以空行结束的事件
+        for (const event of parser.feed(decoder.decode(), true)) {
+            await processStreamEvent(event, writer, sourceFormat, targetFormat, state)
+        }
+        
+        // 上游流结束，输出目标格式的结束事件（出错的流以错误事件结束）
+        state.closing = true
+        if (!state.failed) {
+            await writeStreamEvents(writer, finalizeStream(state, targetFormat), targetFormat, state)
+        }
+        
+    } catch (error) {
+        if (!clientClosed) {
+            console.error('Stream processing error:', error)
+            reader.cancel().catch(() => {})
+            state.closing = true
+            const message = error instanceof UpstreamTimeoutError ? error.message : `Stream processing error: ${error.message}`
+            await writeStreamError(writer, message, error.status || 500, targetFormat, state).catch(() => {})
+        }
+    } finally {
+        clearInterval(keepAlive)
+        if (!clientClosed) {
+            try {
+                if (state.jsonArray) {
+                    await writer.write(new TextEncoder().encode(state.eventCount > 0 ? '\n]' : '[]'))
+                }
+                await writer.close()
+            } catch (e) {
+                // 客户端已断开连接
+            }
+        }
+    }
+}
+
+/**
+ * 读取流的下一块数据，超过指定时间没有数据时抛出 UpstreamTimeoutError
+ * @param {ReadableStreamDefaultReader} reader - 读取器
+ * @param {number} timeoutMs - 最长等待时间
+ * @returns {Promise<object>} - { done, value }
+ */
+async function readWithTimeout(reader, timeoutMs) {
+    let timer
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new UpstreamTimeoutError(`Upstream sent no data for ${timeoutMs}ms`)), timeoutMs)
+    })
+    try {
+        return await Promise.race([reader.read(), timeout])
+    } finally {
+        clearTimeout(timer)
+    }
+}
+
+/**
+ * 创建增量 SSE 解析器（按 WHATWG Server-Sent Events 规范）
+ * 支持 CRLF / LF / CR 换行、跨数据块的行、多行 data 字段（以换行连接）、event / id 字段和注释行，空行结束一个事件
+ * @returns {object} - 解析器，feed(text, end) 返回本次解析出的完整事件 [{ event, data, id }]，end 为 true 时输出最后一个未结束的事件
+ */
+function createSSEParser() {
+    let buffer = ''
+    let eventName = ''
+    let dataLines = []
+    let lastEventId = ''
+    
+    const processLine = (line, events) => {
+        if (line === '') {
+            // 空行：分发事件，没有 data 字段的事件忽略
+            if (dataLines.length > 0) {
+                events.push({ event: eventName || 'message', data: dataLines.join('\n'), id: lastEventId })
+            }
+            eventName = ''
+            dataLines = []
+            return
+        }
+        if (line.startsWith(':')) {
+            // 注释行（如 OpenRouter 的 ": OPENROUTER PROCESSING"）只用于保活
+            return
+        }
+        const colon = line.indexOf(':')
+        const field = colon === -1 ? line : line.substring(0, colon)
+        let value = colon === -1 ? '' : line.substring(colon + 1)
+        if (value.startsWith(' ')) {
+            value = value.substring(1)
+        }
+        if (field === 'data') {
+            dataLines.push(value)
+        } else if (field === 'event') {
+            eventName = value
+        } else if (field === 'id' && !value.includes('\0')) {
+            lastEventId = value
+        }
+        // retry 和未知字段忽略
+    }
+    
+    return {
+        feed(text, end = false) {
+            const events = []
+            buffer += text
+            const lineBreak = /\r\n|\r|\n/g
+            let start = 0
+            let match
+            while ((match = lineBreak.exec(buffer)) !== null) {
+                // 数据块末尾的 CR 可能是 CRLF 的前半部分，等待下一块数据
+                if (match[0] === '\r' && match.index === buffer.length - 1 && !end) {
+                    break
                 }
+                processLine(buffer.substring(start, match.index), events)
+                start = lineBreak.lastIndex
             }
-
-        case 'gemini':
-            const geminiChoice = standard.choices[0]
-            return {
-                candidates: [{
-                    content: {
-                        parts: [{
-                            text: geminiChoice?.message?.content || ''
-                        }],
-                        role: 'model'
-                    },
-                    finishReason: geminiChoice?.finish_reason?.toUpperCase() || 'STOP',
-                    index: 0
-                }]
+            buffer = buffer.substring(start)
+            if (end) {
+                if (buffer) {
+                    processLine(buffer, events)
+                }
+                buffer = ''
+                processLine('', events)
             }
-
-        default:
-            return standard
+            return events
+        }
     }
 }
 
 /**
- * 处理流式响应并进行格式转换
- * @param {Response} response - 原始流式响应
+ * 处理一个 SSE 事件
+ * 事件名（event: 字段）由输出端按目标格式重新生成，源格式的事件类型从数据本身判断
+ * @param {object} event - SSE 事件 { event, data, id }
+ * @param {WritableStreamDefaultWriter} writer - 输出写入器
  * @param {string} sourceFormat - 源格式
  * @param {string} targetFormat - 目标格式
- * @returns {Response} - 转换后的流式响应
+ * @param {object} state - 流转换状态
  */
-async function handleStreamResponse(response, sourceFormat, targetFormat) {
-    const { readable, writable } = new TransformStream()
+async function processStreamEvent(event, writer, sourceFormat, targetFormat, state) {
+    // 输出错误事件后不再处理后续数据
+    if (state.failed) {
+        return
+    }
     
-    // 异步处理流式数据
-    processStreamData(response.body, writable.getWriter(), sourceFormat, targetFormat)
+    const dataStr = event.data.trim()
     
-    return new Response(readable, {
-        status: response.status,
-        headers: {
-            'Content-Type': 'text/event-stream',
-            'Cache-Control': 'no-cache',
-            'Connection': 'keep-alive',
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-            'Access-Control-Allow-Methods': 'POST, OPTIONS'
-        }
-    })
+    // OpenAI 的结束标记，结束事件在 finalizeStream 中统一输出
+    if (dataStr === '[DONE]' || dataStr === '') {
+        return
+    }
+    
+    let data
+    try {
+        data = JSON.parse(dataStr)
+    } catch (parseError) {
+        // 无法解析的事件不能转换为目标格式，忽略
+        console.error('Invalid stream event data:', dataStr)
+        return
+    }
+    
+    // 上游在流中返回的错误（如 Claude 的 error 事件）转换为目标格式的错误事件
+    const upstreamError = parseUpstreamError(data)
+    if (upstreamError) {
+        await writeStreamError(writer, upstreamError.message, upstreamError.status, targetFormat, state, upstreamError.code)
+        return
+    }
+    
+    // 转换数据格式（一个数据块可能对应零个或多个输出事件）
+    let convertedChunks
+    try {
+        convertedChunks = convertStreamChunk(data, sourceFormat, targetFormat, state)
+    } catch (error) {
+        console.error('Event processing error:', error)
+        await writeStreamError(writer, `Event processing error: ${error.message}`, 500, targetFormat, state)
+        return
+    }
+    
+    // 写入转换后的数据（写入失败说明客户端已断开连接，由 processStreamData 处理）
+    await writeStreamEvents(writer, convertedChunks, targetFormat, state)
 }
 
 /**
- * 处理流式数据转换
- * @param {ReadableStream} inputStream - 输入流
+ * 以目标格式的错误事件结束流
+ * Claude 为 event: error，OpenAI 和 Gemini 为包含 error 对象的数据块
  * @param {WritableStreamDefaultWriter} writer - 输出写入器
- * @param {string} sourceFormat - 源格式
+ * @param {string} message - 错误信息
+ * @param {number} status - 对应的 HTTP 状态码
  * @param {string} targetFormat - 目标格式
+ * @param {object} state - 流转换状态
+ * @param {string} code - OpenAI 错误码
  */
-async function processStreamData(inputStream, writer, sourceFormat, targetFormat) {
-    const reader = inputStream.getReader()
-    const decoder = new TextDecoder()
-    let buffer = ''
-    
-    try {
-        while (true) {
-            const { done, value } = await reader.read()
-            if (done) break
-            
-            buffer += decoder.decode(value, { stream: true })
-            
-            // 按行处理数据
-            const lines = buffer.split('\n')
-            buffer = lines.pop() || '' // 保留最后一行（可能不完整）
-            
-            for (const line of lines) {
-                await processStreamLine(line, writer, sourceFormat, targetFormat)
-            }
-        }
-        
-        // 处理剩余的缓冲区数据
-        if (buffer) {
-            await processStreamLine(buffer, writer, sourceFormat, targetFormat)
-        }
-        
-    } catch (error) {
-        console.error('Stream processing error:', error)
-        await writer.write(new TextEncoder().encode(`data: {"error": "Stream processing error: ${error.message}"}\n\n`))
-    } finally {
-        await writer.close()
-    }
+async function writeStreamError(writer, message, status, targetFormat, state, code = null) {
+    state.failed = true
+    const errorBody = createErrorBody(message, getClientErrorStatus(status, targetFormat), targetFormat, code)
+    await writeStreamEvents(writer, [errorBody], targetFormat, state)
 }
 
 /**
- * 处理单行流式数据
- * @param {string} line - 单行数据
+ * 按目标格式写出流式事件
+ * Claude 格式需要 event: 行，OpenAI 的结束标记 [DONE] 以字符串形式表示，
+ * Gemini 未使用 alt=sse 时以 JSON 数组元素的形式输出
  * @param {WritableStreamDefaultWriter} writer - 输出写入器
- * @param {string} sourceFormat - 源格式
+ * @param {Array} events - 事件列表
  * @param {string} targetFormat - 目标格式
+ * @param {object} state - 流转换状态
  */
-async function processStreamLine(line, writer, sourceFormat, targetFormat) {
-    try {
-        // 空行直接转发
-        if (line.trim() === '') {
-            await writer.write(new TextEncoder().encode('\n'))
-            return
+async function writeStreamEvents(writer, events, targetFormat, state = {}) {
+    for (const event of events) {
+        let output
+        if (event === '[DONE]') {
+            output = serializeSSEEvent('[DONE]')
+        } else if (state.jsonArray) {
+            output = (state.eventCount > 0 ? ',\r\n' : '[') + JSON.stringify(event)
+            state.eventCount++
+        } else {
+            output = serializeSSEEvent(JSON.stringify(event), targetFormat === 'anthropic' ? event.type : null)
         }
-        
-        // 解析 Server-Sent Events 格式
-        if (line.startsWith('data: ')) {
-            const dataStr = line.substring(6) // 移除 'data: ' 前缀
+        state.active = true
+        await writer.write(new TextEncoder().encode(output))
+    }
+}
+
+/**
+ * 序列化一个 SSE 事件，多行数据拆分为多个 data 字段
+ * @param {string} data - 事件数据
+ * @param {string|null} eventName - 事件名（event 字段），为 null 时省略
+ * @returns {string} - 以空行结束的 SSE 事件
+ */
+function serializeSSEEvent(data, eventName = null) {
+    const lines = eventName ? [`event: ${eventName}`] : []
+    for (const line of data.split(/\r\n|\r|\n/)) {
+        lines.push(`data: ${line}`)
+    }
+    return lines.join('\n') + '\n\n'
+}
+
+/**
+ * 获取目标格式的保活输出
+ * Claude 流开始后使用 ping 事件，其他情况使用 SSE 注释行；Gemini 的 JSON 数组使用空白字符
+ * @param {string} targetFormat - 目标格式
+ * @param {object} state - 流转换状态
+ * @returns {string} - 保活输出
+ */
+function keepAliveOutput(targetFormat, state) {
+    if (state.jsonArray) {
+        return '\n'
+    }
+    if (targetFormat === 'anthropic' && state.started) {
+        return serializeSSEEvent(JSON.stringify({ type: 'ping' }), 'ping')
+    }
+    return ': keep-alive\n\n'
+}
+
+/**
+ * 创建流转换状态
+ * @param {object} options - 流式输出选项
+ * @returns {object} - 流转换状态
+ */
+function createStreamState(options = {}) {
+    return {
+        // 输出分帧：Gemini 非 SSE 流以 JSON 数组输出
+        jsonArray: Boolean(options.jsonArray),
+        eventCount: 0,
+        // 源格式与目标格式相同：数据块原样输出，结束事件由上游提供
+        passthrough: Boolean(options.passthrough),
+        // 保活：上一个间隔内是否有输出，以及是否正在输出结束事件
+        active: false,
+        closing: false,
+        id: '',
+        model: '',
+        created: Math.floor(Date.now() / 1000),
+        // 源格式 -> 标准格式：Claude 内容块索引到工具调用索引的映射
+        toolIndexByBlock: {},
+        nextToolIndex: 0,
+        // 源格式 -> 标准格式：Gemini 每个 candidate 的工具调用数量
+        toolCallCounts: {},
+        finished: false,
+        // 是否已输出错误事件（出错后不再输出结束事件）
+        failed: false,
+        // 标准格式 -> 目标格式：消息是否已开始、结束原因和用量
+        started: false,
+        finishReason: null,
+        stopSequence: null,
+        usage: null,
+        // 源格式 -> 标准格式：Claude 的 message_start 和 message_delta 分别给出的用量（合并后转换）
+        sourceUsage: null,
+        // 标准格式 -> Gemini：已输出的用量
+        reportedUsage: null,
+        // 标准格式 -> Claude：当前打开的内容块和思考签名
+        currentBlock: null,
+        nextBlockIndex: 0,
+        reasoningSignature: null,
+        // 标准格式 -> Gemini：按 choice 和工具索引累积的工具调用（Gemini 只能输出完整的 functionCall）
+        pendingToolCalls: {},
+        // 请求上下文，以及模拟结构化输出的工具调用索引和累积的参数
+        context: options.context || {},
+        structuredToolIndex: null,
+        hasOtherToolCalls: false,
+        structuredArguments: ''
+    }
+}
+
+/**
+ * 结束流式转换，输出目标格式的收尾事件
+ * @param {object} state - 流转换状态
+ * @param {string} targetFormat - 目标格式
+ * @returns {Array} - 收尾事件列表
+ */
+function finalizeStream(state, targetFormat) {
+    if (state.passthrough) {
+        // 上游的 [DONE] 在解析时被丢弃，需要重新输出
+        return ['openai', 'openrouter'].includes(targetFormat) ? ['[DONE]'] : []
+    }
+    
+    switch (targetFormat) {
+        case 'openai':
+        case 'openrouter':
+            // 与 OpenAI 相同，用量以 choices 为空的数据块在 [DONE] 之前输出
+            if (state.context.includeUsage && state.usage) {
+                return [{
+                    id: state.id,
+                    object: 'chat.completion.chunk',
+                    created: state.created,
+                    model: state.model,
+                    choices: [],
+                    usage: state.usage
+                }, '[DONE]']
+            }
+            return ['[DONE]']
             
-            // 跳过特殊消息
-            if (dataStr === '[DONE]' || dataStr.trim() === '') {
-                await writer.write(new TextEncoder().encode(line + '\n\n'))
-                return
+        case 'anthropic':
+            const events = []
+            if (!state.started) {
+                events.push(...startAnthropicMessage(state, {}))
             }
+            events.push(...closeAnthropicBlock(state))
+            events.push({
+                type: 'message_delta',
+                delta: {
+                    stop_reason: finishReasonFromStandard(state.finishReason || 'stop', targetFormat, state.stopSequence),
+                    stop_sequence: state.stopSequence ?? null
+                },
+                // 包括输入和缓存用量，上游（如 OpenAI）只在流的最后返回用量时 message_start 中的值为 0
+                usage: state.usage ? usageFromStandard(state.usage, targetFormat) : { output_tokens: 0 }
+            })
+            events.push({ type: 'message_stop' })
+            return events
             
-            try {
-                const data = JSON.parse(dataStr)
-                
-                // 转换数据格式
-                const convertedData = convertStreamChunk(data, sourceFormat, targetFormat)
-                
-                // 写入转换后的数据
-                const outputLine = `data: ${JSON.stringify(convertedData)}\n\n`
-                await writer.write(new TextEncoder().encode(outputLine))
-                
-            } catch (parseError) {
-                // 如果无法解析 JSON，直接转发
-                await writer.write(new TextEncoder().encode(line + '\n\n'))
+        case 'gemini':
+            // 上游没有给出结束原因时，补发未输出的工具调用
+            const pendingChoices = Object.keys(state.pendingToolCalls)
+                .filter(index => Object.keys(state.pendingToolCalls[index]).length > 0)
+            const chunks = pendingChoices.length > 0
+                ? standardChunkToGeminiChunks({
+                    choices: pendingChoices.map(index => ({ index: Number(index), delta: {}, finish_reason: 'stop' }))
+                }, state)
+                : []
+            // 结束原因之后才到达的用量（如 OpenAI 的最后一个数据块）单独输出
+            if (state.usage && state.reportedUsage !== state.usage) {
+                chunks.push({ candidates: [], usageMetadata: usageFromStandard(state.usage, targetFormat) })
             }
-        } else {
-            // 非数据行直接转发（如 event:, id:, retry: 等）
-            await writer.write(new TextEncoder().encode(line + '\n'))
-        }
-        
-    } catch (error) {
-        console.error('Line processing error:', error)
-        await writer.write(new TextEncoder().encode(`data: {"error": "Line processing error: ${error.message}"}\n\n`))
+            return chunks
     }
+    
+    return []
 }
 
 /**
@@ -925,44 +4911,125 @@ async function processStreamLine(line, writer, sourceFormat, targetFormat) {
  * @param {object} chunk - 原始数据块
  * @param {string} sourceFormat - 源格式
  * @param {string} targetFormat - 目标格式
- * @returns {object} - 转换后的数据块
+ * @param {object} state - 流转换状态
+ * @returns {Array} - 转换后的数据块列表
  */
-function convertStreamChunk(chunk, sourceFormat, targetFormat) {
+function convertStreamChunk(chunk, sourceFormat, targetFormat, state = createStreamState()) {
     // 如果格式相同，直接返回
     if (sourceFormat === targetFormat) {
-        return chunk
+        return [chunk]
     }
     
     // 首先转换为标准格式
-    const standardChunk = streamChunkToStandardFormat(chunk, sourceFormat)
+    let standardChunk = streamChunkToStandardFormat(chunk, sourceFormat, state)
+    if (state.context.structuredOutput) {
+        standardChunk = unwrapStructuredOutputChunk(standardChunk, state)
+    }
     
     // 然后转换为目标格式
-    return streamChunkFromStandardFormat(standardChunk, targetFormat)
+    return streamChunkFromStandardFormat(standardChunk, targetFormat, state)
 }
 
 /**
  * 将流式数据块转换为标准格式
  * @param {object} chunk - 原始数据块
  * @param {string} sourceFormat - 源格式
+ * @param {object} state - 流转换状态
  * @returns {object} - 标准格式数据块
  */
-function streamChunkToStandardFormat(chunk, sourceFormat) {
+function streamChunkToStandardFormat(chunk, sourceFormat, state) {
     const standard = {
-        id: chunk.id || '',
+        id: chunk.id || state.id,
         object: 'chat.completion.chunk',
-        created: chunk.created || Math.floor(Date.now() / 1000),
-        model: chunk.model || '',
+        created: chunk.created || state.created,
+        model: chunk.model || state.model,
         choices: []
     }
     
     switch (sourceFormat) {
         case 'openai':
         case 'openrouter':
-            return chunk // OpenAI 格式就是标准格式
+            // OpenAI 格式就是标准格式，只需统一推理内容和用量字段（Groq 的用量在 x_groq.usage 中）
+            state.id = chunk.id || state.id
+            state.model = chunk.model || state.model
+            return {
+                ...chunk,
+                choices: (chunk.choices || []).map(choice => ({
+                    ...choice,
+                    delta: normalizeOpenAIReasoning(choice.delta),
+                    finish_reason: finishReasonToStandard(choice.finish_reason, sourceFormat)
+                })),
+                usage: usageToStandard(chunk.usage || chunk.x_groq?.usage, sourceFormat) || undefined
+            }
             
         case 'anthropic':
-            // Claude 流式格式转换
-            if (chunk.type === 'content_block_delta') {
+            // Claude 流式格式转换：用量在 message_start（输入）和 message_delta（累计输出）中分别给出
+            const chunkUsage = chunk.type === 'message_start' ? chunk.message?.usage : chunk.usage
+            if (chunkUsage && (chunk.type === 'message_start' || chunk.type === 'message_delta')) {
+                state.sourceUsage = { ...state.sourceUsage }
+                for (const [key, value] of Object.entries(chunkUsage)) {
+                    if (value !== null && value !== undefined) state.sourceUsage[key] = value
+                }
+                standard.usage = usageToStandard(state.sourceUsage, sourceFormat)
+            }
+            if (chunk.type === 'message_start') {
+                state.id = chunk.message?.id || state.id
+                state.model = chunk.message?.model || state.model
+                standard.id = state.id
+                standard.model = state.model
+                standard.choices = [{
+                    index: 0,
+                    delta: { role: 'assistant', content: '' },
+                    finish_reason: null
+                }]
+            } else if (chunk.type === 'content_block_start' && chunk.content_block?.type === 'tool_use') {
+                const toolIndex = state.nextToolIndex++
+                state.toolIndexByBlock[chunk.index] = toolIndex
+                standard.choices = [{
+                    index: 0,
+                    delta: {
+                        tool_calls: [{
+                            index: toolIndex,
+                            id: chunk.content_block.id,
+                            type: 'function',
+                            function: {
+                                name: chunk.content_block.name,
+                                arguments: ''
+                            }
+                        }]
+                    },
+                    finish_reason: null
+                }]
+            } else if (chunk.type === 'content_block_delta' && chunk.delta?.type === 'input_json_delta') {
+                standard.choices = [{
+                    index: 0,
+                    delta: {
+                        tool_calls: [{
+                            index: state.toolIndexByBlock[chunk.index] ?? 0,
+                            function: {
+                                arguments: chunk.delta.partial_json || ''
+                            }
+                        }]
+                    },
+                    finish_reason: null
+                }]
+            } else if (chunk.type === 'content_block_delta' && chunk.delta?.type === 'thinking_delta') {
+                standard.choices = [{
+                    index: 0,
+                    delta: {
+                        reasoning_content: chunk.delta.thinking || ''
+                    },
+                    finish_reason: null
+                }]
+            } else if (chunk.type === 'content_block_delta' && chunk.delta?.type === 'signature_delta') {
+                standard.choices = [{
+                    index: 0,
+                    delta: {
+                        reasoning_signature: chunk.delta.signature
+                    },
+                    finish_reason: null
+                }]
+            } else if (chunk.type === 'content_block_delta') {
                 standard.choices = [{
                     index: 0,
                     delta: {
@@ -970,7 +5037,15 @@ function streamChunkToStandardFormat(chunk, sourceFormat) {
                     },
                     finish_reason: null
                 }]
-            } else if (chunk.type === 'message_stop') {
+            } else if (chunk.type === 'message_delta' && chunk.delta?.stop_reason) {
+                state.finished = true
+                standard.choices = [{
+                    index: 0,
+                    delta: {},
+                    finish_reason: finishReasonToStandard(chunk.delta.stop_reason, sourceFormat),
+                    stop_sequence: chunk.delta.stop_sequence ?? undefined
+                }]
+            } else if (chunk.type === 'message_stop' && !state.finished) {
                 standard.choices = [{
                     index: 0,
                     delta: {},
@@ -981,16 +5056,53 @@ function streamChunkToStandardFormat(chunk, sourceFormat) {
             
         case 'gemini':
             // Gemini 流式格式转换
-            if (chunk.candidates && chunk.candidates.length > 0) {
-                const candidate = chunk.candidates[0]
-                standard.choices = [{
-                    index: 0,
-                    delta: {
-                        content: candidate.content?.parts?.[0]?.text || ''
-                    },
-                    finish_reason: candidate.finishReason?.toLowerCase() || null
-                }]
+            state.id = state.id || chunk.responseId || 'gemini-' + Date.now()
+            state.model = chunk.modelVersion || state.model
+            standard.id = state.id
+            standard.model = state.model
+            // usageMetadata 为累计值，最后一个数据块中的最完整
+            if (chunk.usageMetadata) {
+                standard.usage = usageToStandard(chunk.usageMetadata, sourceFormat)
             }
+            // 每个 candidate 对应一个 choice，工具调用索引按 candidate 分别计数
+            standard.choices = (chunk.candidates || []).map((candidate, i) => {
+                const choiceIndex = candidate.index ?? i
+                const parts = candidate.content?.parts || []
+                const delta = {
+                    content: parts.filter(part => !part.thought).map(geminiPartToText).join('')
+                }
+                const thoughts = parts.filter(part => part.text !== undefined && part.thought)
+                if (thoughts.length > 0) {
+                    delta.reasoning_content = thoughts.map(part => part.text).join('')
+                }
+                const images = parts.filter(part => part.inlineData || part.fileData).map(geminiPartToStandardPart)
+                if (images.length > 0) {
+                    delta.images = images
+                }
+                // Gemini 一次性返回完整的 functionCall，转换为完整的工具调用增量
+                const functionCalls = parts.filter(part => part.functionCall)
+                if (functionCalls.length > 0) {
+                    state.toolCallCounts[choiceIndex] = state.toolCallCounts[choiceIndex] || 0
+                    delta.tool_calls = functionCalls.map(part => ({
+                        index: state.toolCallCounts[choiceIndex]++,
+                        id: part.functionCall.id || generateToolCallId(),
+                        type: 'function',
+                        function: {
+                            name: part.functionCall.name,
+                            arguments: JSON.stringify(part.functionCall.args || {})
+                        }
+                    }))
+                }
+                let finishReason = finishReasonToStandard(candidate.finishReason, sourceFormat)
+                if (finishReason && state.toolCallCounts[choiceIndex]) {
+                    finishReason = 'tool_calls'
+                }
+                return {
+                    index: choiceIndex,
+                    delta: delta,
+                    finish_reason: finishReason
+                }
+            })
             break
     }
     
@@ -1001,50 +5113,272 @@ function streamChunkToStandardFormat(chunk, sourceFormat) {
  * 从标准格式转换为目标流式格式
  * @param {object} standard - 标准格式数据块
  * @param {string} targetFormat - 目标格式
- * @returns {object} - 目标格式数据块
+ * @param {object} state - 流转换状态
+ * @returns {Array} - 目标格式数据块列表
  */
-function streamChunkFromStandardFormat(standard, targetFormat) {
+function streamChunkFromStandardFormat(standard, targetFormat, state) {
+    if (standard.usage) {
+        state.usage = standard.usage
+    }
+    
     switch (targetFormat) {
         case 'openai':
         case 'openrouter':
-            return standard
+            // 没有增量内容的数据块（如 Claude 的 ping、content_block_stop）不输出，用量在流结束时单独输出
+            // 思考签名只对 Claude 客户端有意义，单独的签名增量不输出
+            const { usage, ...openaiChunk } = standard
+            const choices = (standard.choices || [])
+                .map(({ delta, stop_sequence, ...choice }) => {
+                    const { reasoning_signature, ...openaiDelta } = delta || {}
+                    return { ...choice, delta: openaiDelta }
+                })
+                .filter(choice => Object.keys(choice.delta).length > 0 || choice.finish_reason)
+            if (choices.length === 0) {
+                return []
+            }
+            return [{ ...openaiChunk, choices }]
             
         case 'anthropic':
-            const choice = standard.choices[0]
-            if (choice?.delta?.content) {
-                return {
-                    type: 'content_block_delta',
-                    index: 0,
-                    delta: {
-                        type: 'text_delta',
-                        text: choice.delta.content
-                    }
-                }
-            } else if (choice?.finish_reason) {
-                return {
-                    type: 'message_stop'
-                }
-            }
-            break
+            return standardChunkToAnthropicEvents(standard, state)
             
         case 'gemini':
-            const geminiChoice = standard.choices[0]
-            if (geminiChoice?.delta?.content) {
-                return {
-                    candidates: [{
-                        content: {
-                            parts: [{
-                                text: geminiChoice.delta.content
-                            }],
-                            role: 'model'
-                        },
-                        finishReason: geminiChoice.finish_reason?.toUpperCase() || null,
-                        index: 0
-                    }]
+            return standardChunkToGeminiChunks(standard, state)
+    }
+    
+    return [standard]
+}
+
+/**
+ * 将标准格式数据块转换为 Claude 流式事件
+ * 文本与工具调用分别对应独立的内容块，切换时关闭上一个内容块
+ * @param {object} standard - 标准格式数据块
+ * @param {object} state - 流转换状态
+ * @returns {Array} - Claude 事件列表
+ */
+function standardChunkToAnthropicEvents(standard, state) {
+    const events = []
+    // Claude 流只有一条消息，只转换第一个 choice
+    const choice = standard.choices?.find(item => (item.index ?? 0) === 0)
+    if (!choice) {
+        return events
+    }
+    
+    if (!state.started) {
+        events.push(...startAnthropicMessage(state, standard))
+    }
+    
+    const closeCurrentBlock = () => {
+        events.push(...closeAnthropicBlock(state))
+    }
+    
+    if (choice.delta?.reasoning_signature) {
+        state.reasoningSignature = choice.delta.reasoning_signature
+    }
+    
+    if (choice.delta?.reasoning_content) {
+        if (!state.currentBlock || state.currentBlock.type !== 'thinking') {
+            closeCurrentBlock()
+            state.currentBlock = { type: 'thinking', index: state.nextBlockIndex++ }
+            events.push({
+                type: 'content_block_start',
+                index: state.currentBlock.index,
+                content_block: { type: 'thinking', thinking: '' }
+            })
+        }
+        events.push({
+            type: 'content_block_delta',
+            index: state.currentBlock.index,
+            delta: {
+                type: 'thinking_delta',
+                thinking: choice.delta.reasoning_content
+            }
+        })
+    }
+    
+    if (choice.delta?.content) {
+        if (!state.currentBlock || state.currentBlock.type !== 'text') {
+            closeCurrentBlock()
+            state.currentBlock = { type: 'text', index: state.nextBlockIndex++ }
+            events.push({
+                type: 'content_block_start',
+                index: state.currentBlock.index,
+                content_block: { type: 'text', text: '' }
+            })
+        }
+        events.push({
+            type: 'content_block_delta',
+            index: state.currentBlock.index,
+            delta: {
+                type: 'text_delta',
+                text: choice.delta.content
+            }
+        })
+    }
+    
+    for (const toolCall of choice.delta?.tool_calls || []) {
+        const isNewCall = !state.currentBlock || state.currentBlock.type !== 'tool_use' ||
+            state.currentBlock.toolIndex !== toolCall.index
+        if (isNewCall) {
+            closeCurrentBlock()
+            state.currentBlock = { type: 'tool_use', index: state.nextBlockIndex++, toolIndex: toolCall.index }
+            events.push({
+                type: 'content_block_start',
+                index: state.currentBlock.index,
+                content_block: {
+                    type: 'tool_use',
+                    id: toolCall.id || generateToolCallId(),
+                    name: toolCall.function?.name || '',
+                    input: {}
+                }
+            })
+        }
+        if (toolCall.function?.arguments) {
+            events.push({
+                type: 'content_block_delta',
+                index: state.currentBlock.index,
+                delta: {
+                    type: 'input_json_delta',
+                    partial_json: toolCall.function.arguments
                 }
+            })
+        }
+    }
+    
+    // message_delta 和 message_stop 在流结束时输出，以便带上最后到达的用量信息
+    if (choice.finish_reason) {
+        closeCurrentBlock()
+        state.finishReason = choice.finish_reason
+        state.stopSequence = choice.stop_sequence
+    }
+    
+    return events
+}
+
+/**
+ * 关闭当前打开的 Claude 内容块
+ * 思考块在关闭前需要输出 signature_delta
+ * @param {object} state - 流转换状态
+ * @returns {Array} - Claude 事件列表
+ */
+function closeAnthropicBlock(state) {
+    const events = []
+    if (!state.currentBlock) {
+        return events
+    }
+    
+    if (state.currentBlock.type === 'thinking') {
+        // 上游没有提供签名时使用占位签名，保证客户端能够保存思考块（回传时由网关移除）
+        events.push({
+            type: 'content_block_delta',
+            index: state.currentBlock.index,
+            delta: {
+                type: 'signature_delta',
+                signature: state.reasoningSignature || UNSIGNED_THINKING_SIGNATURE
             }
-            break
+        })
+        state.reasoningSignature = null
+    }
+    events.push({ type: 'content_block_stop', index: state.currentBlock.index })
+    state.currentBlock = null
+    return events
+}
+
+/**
+ * 生成 Claude 流的开始事件（message_start 和 ping）
+ * @param {object} state - 流转换状态
+ * @param {object} standard - 标准格式数据块
+ * @returns {Array} - Claude 事件列表
+ */
+function startAnthropicMessage(state, standard) {
+    state.started = true
+    return [
+        {
+            type: 'message_start',
+            message: {
+                id: standard.id || state.id || 'msg_' + crypto.randomUUID().replace(/-/g, ''),
+                type: 'message',
+                role: 'assistant',
+                model: standard.model || state.model,
+                content: [],
+                stop_reason: null,
+                stop_sequence: null,
+                usage: { ...usageFromStandard(state.usage, 'anthropic'), output_tokens: 0 }
+            }
+        },
+        { type: 'ping' }
+    ]
+}
+
+/**
+ * 将标准格式数据块转换为 Gemini 流式数据块
+ * 工具调用参数需要累积到结束时才能输出完整的 functionCall
+ * @param {object} standard - 标准格式数据块
+ * @param {object} state - 流转换状态
+ * @returns {Array} - Gemini 数据块列表
+ */
+function standardChunkToGeminiChunks(standard, state) {
+    const candidates = []
+    
+    for (const choice of standard.choices || []) {
+        const choiceIndex = choice.index ?? 0
+        const pendingCalls = state.pendingToolCalls[choiceIndex] || {}
+        for (const toolCall of choice.delta?.tool_calls || []) {
+            const pending = pendingCalls[toolCall.index] || { name: '', arguments: '' }
+            if (toolCall.function?.name) {
+                pending.name = toolCall.function.name
+            }
+            pending.arguments += toolCall.function?.arguments || ''
+            pendingCalls[toolCall.index] = pending
+        }
+        state.pendingToolCalls[choiceIndex] = pendingCalls
+        
+        const parts = []
+        if (choice.delta?.reasoning_content) {
+            parts.push({ text: choice.delta.reasoning_content, thought: true })
+        }
+        if (choice.delta?.content) {
+            parts.push({ text: choice.delta.content })
+        }
+        parts.push(...standardContentToGeminiParts(choice.delta?.images || []))
+        if (choice.finish_reason) {
+            const pendingIndexes = Object.keys(pendingCalls).sort((a, b) => a - b)
+            for (const index of pendingIndexes) {
+                parts.push({
+                    functionCall: {
+                        name: pendingCalls[index].name,
+                        args: parseToolArguments(pendingCalls[index].arguments)
+                    }
+                })
+            }
+            delete state.pendingToolCalls[choiceIndex]
+        }
+        
+        if (parts.length === 0 && !choice.finish_reason) {
+            continue
+        }
+        
+        const candidate = {
+            content: {
+                parts: parts.length > 0 ? parts : [{ text: '' }],
+                role: 'model'
+            },
+            index: choiceIndex
+        }
+        // Gemini 只在最后一个数据块中包含 finishReason
+        if (choice.finish_reason) {
+            candidate.finishReason = finishReasonFromStandard(choice.finish_reason, 'gemini')
+        }
+        candidates.push(candidate)
     }
     
-    return standard
+    if (candidates.length === 0) {
+        return []
+    }
+    // 用量随包含结束原因的数据块输出
+    const chunk = { candidates }
+    if (state.usage && candidates.some(candidate => candidate.finishReason)) {
+        chunk.usageMetadata = usageFromStandard(state.usage, 'gemini')
+        state.reportedUsage = state.usage
+    }
+    return [chunk]
 }